@@ -0,0 +1,238 @@
+/**
+ * Announcements Module
+ * Celebrates board changes in an optional announcement channel
+ * (ANNOUNCE_WEBHOOK_URL). Each applied update is compared with the board
+ * before it and yields at most one event, the most notable:
+ * - milestone: first player on the board to reach one of the game's
+ *   milestone ranks ("first Top 500 in the server")
+ * - newLeader: took #1 (of their section, in sectioned games)
+ * - rankUp:    reached a higher rank name ("reached Grandmaster")
+ * - overtake:  moved above the player now right below them
+ *
+ * A replayed backlog must not spam the channel: updates posted more than
+ * ANNOUNCE_MAX_AGE_HOURS ago are never announced, every announcement is
+ * keyed by event, entry and source message and remembered in the board's
+ * manifest, and each save posts at most ANNOUNCE_MAX_PER_SYNC of them.
+ */
+
+import { createHash } from 'crypto';
+import { ANNOUNCEMENT_EVENTS, getStandingFields, getPeakFields, getPlayerKey } from './games/index.js';
+import { getSection, sectionPositions } from './sections.js';
+import { formatRank, getRankEmoji } from './renderer.js';
+import { snowflakeTimestamp } from './reconcile.js';
+
+// Announcement keys remembered per board, newest last
+export const ANNOUNCED_KEEP = 30;
+
+// Most notable first: one update announces only its first matching event
+const PRIORITY = ['milestone', 'newLeader', 'rankUp', 'overtake'];
+
+// Milestones and rank-ups are about the rank name, so their {rank} has no tier
+const RANK_NAME_EVENTS = ['milestone', 'rankUp'];
+
+// Templates used when the game definition does not set its own
+// Placeholders: {player} {rank} {emoji} {game} {section} {previous}
+export const DEFAULT_TEMPLATES = {
+  milestone: '🌟 {player} is the first {emoji} {rank} in the server on {game}!',
+  newLeader: '👑 New #1 on {game}{section}: {player} with {emoji} {rank}, ahead of {previous}',
+  rankUp: '🎉 {player} reached {emoji} {rank} on {game}{section}!',
+  overtake: '⚔️ {player} passed {previous} on {game}{section}, now {emoji} {rank}'
+};
+
+/**
+ * Load a game's announcement settings, or null when it has no announcement
+ * webhook (GAME_<KEY>_ANNOUNCE_WEBHOOK_URL, then ANNOUNCE_WEBHOOK_URL)
+ */
+export function loadAnnouncementConfig(gameKey, env = process.env) {
+  const webhookUrl = env[`GAME_${gameKey}_ANNOUNCE_WEBHOOK_URL`] || env.ANNOUNCE_WEBHOOK_URL;
+  if (!webhookUrl) return null;
+
+  const listed = (env[`GAME_${gameKey}_ANNOUNCE_EVENTS`] || env.ANNOUNCE_EVENTS || ANNOUNCEMENT_EVENTS.join(','))
+    .split(',')
+    .map(event => event.trim())
+    .filter(Boolean);
+  const events = listed.map(name => ANNOUNCEMENT_EVENTS.find(event => event.toLowerCase() === name.toLowerCase()));
+
+  if (events.includes(undefined)) {
+    throw new Error(`Invalid ANNOUNCE_EVENTS "${listed.join(',')}" for ${gameKey} (expected: ${ANNOUNCEMENT_EVENTS.join(', ')})`);
+  }
+
+  const maxPerSync = parseInt(env.ANNOUNCE_MAX_PER_SYNC || '5', 10);
+  const maxAgeHours = parseFloat(env.ANNOUNCE_MAX_AGE_HOURS || '24');
+
+  // Keeps one save's announcements within a single message
+  if (!(maxPerSync >= 1 && maxPerSync <= 10)) {
+    throw new Error('ANNOUNCE_MAX_PER_SYNC must be between 1 and 10');
+  }
+  if (!(maxAgeHours > 0)) {
+    throw new Error('ANNOUNCE_MAX_AGE_HOURS must be a positive number of hours');
+  }
+
+  return { webhookUrl, events, maxPerSync, maxAgeHours };
+}
+
+/**
+ * Position of a rank name on the game's ladder (-1 when unknown)
+ */
+function rankIndex(rankObj, game) {
+  if (!rankObj) return -1;
+  return game.ranks.findIndex(rank => rank.toLowerCase() === rankObj.rank.toLowerCase());
+}
+
+/**
+ * Ranks that count as milestones: the game's `announcements.milestoneRanks`,
+ * or the top three of its ladder
+ */
+function milestoneRanks(game) {
+  return game.announcements?.milestoneRanks || game.ranks.slice(-3);
+}
+
+/**
+ * Best rank index any entry on the board holds or has held
+ */
+function boardBest(players, game) {
+  const standing = getStandingFields(game);
+  const peak = getPeakFields(game);
+
+  return Math.max(-1, ...players.flatMap(player => [
+    rankIndex(player[standing.rank], game),
+    peak.rank ? rankIndex(player[peak.rank], game) : -1
+  ]));
+}
+
+/**
+ * Compare the board before and after a batch of updates
+ * `updatedKeys` are the entry keys the batch changed. Returns one event per
+ * updated entry that has something to celebrate:
+ * [{ event, userId, key, section, rank, previous, sourceMessageId }]
+ */
+export function detectAnnouncements(before, after, game, updatedKeys) {
+  const standing = getStandingFields(game);
+  const ranked = players => players.filter(p => p.activity !== 'dropped');
+  const previous = new Map(before.map(player => [getPlayerKey(player, game), player]));
+  const previousPositions = sectionPositions(ranked(before), game);
+  const positions = sectionPositions(ranked(after), game);
+  const previousLeaders = new Map(ranked(before)
+    .filter(player => previousPositions.get(getPlayerKey(player, game)) === 1)
+    .map(player => [getSection(player, game), player]));
+  const bySectionPosition = new Map(ranked(after)
+    .map(player => [`${getSection(player, game)}:${positions.get(getPlayerKey(player, game))}`, player]));
+  const best = boardBest(before, game);
+  const events = [];
+
+  for (const player of ranked(after)) {
+    const key = getPlayerKey(player, game);
+    if (!updatedKeys.has(key)) continue;
+
+    const section = getSection(player, game);
+    const old = previous.get(key);
+    const index = rankIndex(player[standing.rank], game);
+    const position = positions.get(key);
+    const leader = previousLeaders.get(section);
+    const below = bySectionPosition.get(`${section}:${position + 1}`);
+    const passed = old && below && previousPositions.get(getPlayerKey(below, game)) < previousPositions.get(key);
+
+    const candidates = {
+      milestone: index > best && milestoneRanks(game).includes(game.ranks[index]),
+      newLeader: position === 1 && leader && getPlayerKey(leader, game) !== key ? leader : null,
+      rankUp: old && index > rankIndex(old[standing.rank], game),
+      overtake: passed ? below : null
+    };
+    const event = PRIORITY.find(name => candidates[name]);
+    if (!event) continue;
+
+    const other = typeof candidates[event] === 'object' ? candidates[event] : null;
+    events.push({
+      event,
+      userId: player.userId,
+      key,
+      section,
+      rank: player[standing.rank],
+      previous: other ? other.userId : null,
+      sourceMessageId: player.sourceMessageId || null
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Short key that identifies an announcement across syncs
+ */
+export function announcementKey(announcement) {
+  return createHash('sha1')
+    .update(`${announcement.event}:${announcement.key}:${announcement.sourceMessageId}`)
+    .digest('hex')
+    .substring(0, 10);
+}
+
+/**
+ * When the message behind an announcement was posted (null when unknown)
+ */
+function messageTime(messageId) {
+  return /^\d+$/.test(messageId || '') ? snowflakeTimestamp(messageId) : null;
+}
+
+/**
+ * Pick the announcements to post: enabled, recent and not posted before,
+ * most notable first, at most `config.maxPerSync`
+ * Returns { selected, skipped, announced } where `announced` is the updated
+ * list of remembered keys
+ */
+export function selectAnnouncements(announcements, config, announced = [], now = Date.now()) {
+  const seen = new Set(announced);
+  const cutoff = now - config.maxAgeHours * 60 * 60 * 1000;
+
+  const fresh = announcements
+    .filter(announcement => config.events.includes(announcement.event))
+    .filter(announcement => {
+      const postedAt = messageTime(announcement.sourceMessageId);
+      return postedAt === null || postedAt >= cutoff;
+    })
+    .map(announcement => ({ ...announcement, id: announcementKey(announcement) }))
+    .filter(announcement => {
+      if (seen.has(announcement.id)) return false;
+      seen.add(announcement.id);
+      return true;
+    });
+
+  const selected = [...fresh]
+    .sort((a, b) => PRIORITY.indexOf(a.event) - PRIORITY.indexOf(b.event))
+    .slice(0, config.maxPerSync);
+
+  // Skipped ones are remembered too, so a later sync does not post them late
+  return {
+    selected,
+    skipped: fresh.length - selected.length,
+    announced: [...announced, ...fresh.map(announcement => announcement.id)].slice(-ANNOUNCED_KEEP)
+  };
+}
+
+/**
+ * Fill in an announcement's template (the game's own, else the default)
+ */
+export function renderAnnouncement(announcement, game) {
+  const template = game.announcements?.templates?.[announcement.event] || DEFAULT_TEMPLATES[announcement.event];
+  const values = {
+    player: `<@${announcement.userId}>`,
+    rank: RANK_NAME_EVENTS.includes(announcement.event)
+      ? announcement.rank?.rank ?? ''
+      : formatRank(announcement.rank, game),
+    emoji: announcement.rank ? getRankEmoji(announcement.rank.rank, game) : '',
+    game: game.name,
+    section: announcement.section ? ` (${announcement.section})` : '',
+    previous: announcement.previous ? `<@${announcement.previous}>` : ''
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+export default {
+  ANNOUNCED_KEEP,
+  DEFAULT_TEMPLATES,
+  loadAnnouncementConfig,
+  detectAnnouncements,
+  announcementKey,
+  selectAnnouncements,
+  renderAnnouncement
+};
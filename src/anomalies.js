@@ -0,0 +1,111 @@
+/**
+ * Anomaly Detection Module
+ * Flags submissions that are unlikely to be genuine by comparing them with
+ * the player's previous entry and the game's rank ladder.
+ *
+ * Actions (GAME_<KEY>_ANOMALY_ACTION, falling back to ANOMALY_ACTION):
+ * - warn: apply the update and warn about it (default)
+ * - hold: keep the update for a moderator to approve, like verified mode
+ * - off:  no checks
+ */
+
+import { getRankSortValue, getDivision } from './ranks.js';
+import { getStandingFields, getPeakFields } from './games/index.js';
+import { formatRank } from './renderer.js';
+import { DAY_MS, FUTURE_TOLERANCE_MS } from './dates.js';
+
+export const ANOMALY_ACTIONS = ['warn', 'hold', 'off'];
+
+/**
+ * Load a game's anomaly settings from the environment
+ * Holding needs moderators, so the game's policy must list their roles.
+ */
+export function loadAnomalyConfig(gameKey, policy, env = process.env) {
+  const action = (env[`GAME_${gameKey}_ANOMALY_ACTION`] || env.ANOMALY_ACTION || 'warn').toLowerCase();
+
+  if (!ANOMALY_ACTIONS.includes(action)) {
+    throw new Error(`Invalid anomaly action "${action}" for ${gameKey} (expected: ${ANOMALY_ACTIONS.join(', ')})`);
+  }
+
+  if (action === 'hold' && policy.moderatorRoleIds.length === 0) {
+    throw new Error(`Holding anomalies for ${gameKey} needs MODERATOR_ROLE_IDS or GAME_${gameKey}_MODERATOR_ROLE_IDS`);
+  }
+
+  const maxDivisionsPerDay = parseInt(
+    env[`GAME_${gameKey}_ANOMALY_MAX_DIVISIONS_PER_DAY`] || env.ANOMALY_MAX_DIVISIONS_PER_DAY || '3',
+    10
+  );
+
+  return { action, maxDivisionsPerDay };
+}
+
+/**
+ * Check a value against the band the game defines for its rank
+ */
+function checkBand(rankObj, value, game, label) {
+  const band = rankObj && game.valueBands[rankObj.rank];
+  if (!band || value === undefined) return null;
+
+  const [min, max] = band;
+  if (value < min || value > max) {
+    return `${label} value ${value} ${game.valueLabel} is outside the ${rankObj.rank} band (${min}–${max})`;
+  }
+
+  return null;
+}
+
+/**
+ * List the reasons a submission looks implausible (empty when it looks fine)
+ * `previous` is the player's current entry, or null for a new player.
+ */
+export function checkPlausibility(data, previous, game, options = {}) {
+  const {
+    maxDivisionsPerDay = 3,
+    now = Date.now()
+  } = options;
+
+  const reasons = [];
+  const standing = getStandingFields(game);
+  const peak = getPeakFields(game);
+  const date = new Date(data.lastUpdated).getTime();
+
+  if (date > now + FUTURE_TOLERANCE_MS) {
+    reasons.push(`date ${data.lastUpdated.substring(0, 10)} is in the future`);
+  }
+
+  // Peaks are optional in messages; only a typed peak can contradict the rest
+  const typedPeak = Boolean(peak.rank && data[peak.rank]);
+
+  if (typedPeak && getRankSortValue(data[standing.rank], game) > getRankSortValue(data[peak.rank], game)) {
+    reasons.push(`current rank ${formatRank(data[standing.rank], game)} is above the peak ${formatRank(data[peak.rank], game)}`);
+  }
+
+  reasons.push(...[
+    checkBand(data[standing.rank], data[standing.value], game, 'current'),
+    typedPeak && checkBand(data[peak.rank], data[peak.value], game, 'peak')
+  ].filter(Boolean));
+
+  if (!previous) {
+    return reasons;
+  }
+
+  if (typedPeak && getRankSortValue(data[peak.rank], game) < getRankSortValue(previous[peak.rank], game)) {
+    reasons.push(`peak rank dropped from ${formatRank(previous[peak.rank], game)} to ${formatRank(data[peak.rank], game)}`);
+  }
+
+  // Compare whole days, so two updates on the same day allow one day's climb
+  const days = Math.max(1, Math.ceil((date - new Date(previous.lastUpdated).getTime()) / DAY_MS));
+  const climb = getDivision(data[standing.rank], game) - getDivision(previous[standing.rank], game);
+
+  if (climb > maxDivisionsPerDay * days) {
+    reasons.push(`climbed ${climb} divisions in ${days} ${days === 1 ? 'day' : 'days'} (${formatRank(previous[standing.rank], game)} → ${formatRank(data[standing.rank], game)})`);
+  }
+
+  return reasons;
+}
+
+export default {
+  ANOMALY_ACTIONS,
+  loadAnomalyConfig,
+  checkPlausibility
+};
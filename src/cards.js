@@ -0,0 +1,306 @@
+/**
+ * Leaderboard Card Module
+ * Draws the top of a board as an image card: an SVG built here, rasterized
+ * to PNG with resvg when LEADERBOARD_CARD=png. Everything is local — avatars
+ * come from AVATAR_CACHE_DIR (<userId>.png or .jpg) or fall back to
+ * initials, and text uses the system fonts.
+ *
+ * The card is attached to the manifest message, next to the text summary.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { getGame, getStandingFields, getPeakFields } from './games/index.js';
+import { getSection } from './sections.js';
+import { formatRank, getRelativeTime, combinedStandings } from './renderer.js';
+import { formatTimestamp } from './dates.js';
+import { DEFAULT_COLOR } from './embeds.js';
+
+const CARD_MODES = ['off', 'svg', 'png'];
+const MAX_CARD_PLAYERS = 25;
+
+const WIDTH = 880;
+const PADDING = 28;
+const HEADER_HEIGHT = 96;
+const COLUMN_HEADER_HEIGHT = 32;
+const ROW_HEIGHT = 48;
+const FONT = "'DejaVu Sans', 'Noto Sans', Arial, sans-serif";
+
+const THEME = {
+  background: '#1E1F22',
+  row: '#2B2D31',
+  rowAlt: '#26282C',
+  text: '#F2F3F5',
+  muted: '#A3A9B2'
+};
+
+const MEDAL_COLORS = ['#F2C94C', '#C9D1D9', '#D08B4F'];
+const AVATAR_COLORS = ['#5865F2', '#3BA55D', '#FAA61A', '#ED4245', '#9B59B6', '#1ABC9C', '#E67E22'];
+const AVATAR_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+/**
+ * Load a game's card settings: LEADERBOARD_CARD (off, svg or png; per game
+ * GAME_<KEY>_LEADERBOARD_CARD), CARD_PLAYERS and AVATAR_CACHE_DIR
+ */
+export function loadCardConfig(gameKey, env = process.env) {
+  const mode = (env[`GAME_${gameKey}_LEADERBOARD_CARD`] || env.LEADERBOARD_CARD || 'off').toLowerCase();
+  const size = parseInt(env.CARD_PLAYERS || '10', 10);
+
+  if (!CARD_MODES.includes(mode)) {
+    throw new Error(`Invalid LEADERBOARD_CARD "${mode}" for ${gameKey} (expected: ${CARD_MODES.join(', ')})`);
+  }
+  if (!(size >= 1 && size <= MAX_CARD_PLAYERS)) {
+    throw new Error(`CARD_PLAYERS must be between 1 and ${MAX_CARD_PLAYERS}`);
+  }
+
+  return { mode, size, avatarDir: env.AVATAR_CACHE_DIR || null };
+}
+
+/**
+ * The entries a card shows: each player's best entry, active players first
+ */
+export function cardEntries(players, gameType, size) {
+  return combinedStandings(players, gameType).slice(0, size);
+}
+
+/**
+ * Read cached avatars as data URIs; players without one are left out
+ * Returns a Map of userId → data URI
+ */
+export async function loadAvatars(userIds, avatarDir) {
+  const avatars = new Map();
+  if (!avatarDir) return avatars;
+
+  for (const userId of userIds) {
+    for (const [extension, type] of Object.entries(AVATAR_TYPES)) {
+      try {
+        const data = await readFile(path.join(avatarDir, `${userId}${extension}`));
+        avatars.set(userId, `data:${type};base64,${data.toString('base64')}`);
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  return avatars;
+}
+
+/**
+ * Escape text for XML and HTML markup
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A player's display name, or a short stand-in when it is unknown
+ */
+export function displayName(userId, names) {
+  return names.get(userId) || `User ${userId.slice(-4)}`;
+}
+
+/**
+ * Shorten text to `max` characters so columns stay aligned
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function text(x, y, content, attributes = {}) {
+  const attrs = Object.entries({ 'font-size': 15, fill: THEME.text, ...attributes })
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+  return `<text x="${x}" y="${y}" ${attrs}>${escapeXml(content)}</text>`;
+}
+
+function hexColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Up to two initials from a display name ("Grey Talon" → GT)
+ */
+function initials(name) {
+  const letters = name.replace(/[^\p{L}\p{N}\s]/gu, '').split(/\s+/).filter(Boolean).map(word => word[0]);
+  return (letters.slice(0, 2).join('') || '?').toUpperCase();
+}
+
+/**
+ * A round avatar: the cached image, or initials on a colour picked from the user ID
+ */
+function renderAvatar(userId, name, avatar, cx, cy) {
+  const r = 16;
+
+  if (avatar) {
+    return [
+      `<clipPath id="avatar-${userId}"><circle cx="${cx}" cy="${cy}" r="${r}"/></clipPath>`,
+      `<image href="${avatar}" x="${cx - r}" y="${cy - r}" width="${r * 2}" height="${r * 2}" clip-path="url(#avatar-${userId})" preserveAspectRatio="xMidYMid slice"/>`
+    ].join('');
+  }
+
+  const hash = [...userId].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  const color = AVATAR_COLORS[hash % AVATAR_COLORS.length];
+  return [
+    `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}"/>`,
+    text(cx, cy + 5, initials(name), { 'font-size': 13, 'font-weight': 'bold', 'text-anchor': 'middle' })
+  ].join('');
+}
+
+/**
+ * A rank icon: a badge in the rank's colour with its initials
+ */
+function renderRankBadge(rankObj, game, accent, cx, cy) {
+  const match = game.ranks.find(r => r.toLowerCase() === rankObj.rank.toLowerCase());
+  const color = game.rankColors[match] || accent;
+
+  return [
+    `<polygon points="${cx},${cy - 14} ${cx + 13},${cy - 6} ${cx + 13},${cy + 6} ${cx},${cy + 14} ${cx - 13},${cy + 6} ${cx - 13},${cy - 6}" fill="${color}"/>`,
+    text(cx, cy + 4, initials(match || rankObj.rank), { 'font-size': 11, 'font-weight': 'bold', fill: THEME.background, 'text-anchor': 'middle' })
+  ].join('');
+}
+
+/**
+ * Render a card as an SVG document
+ * `players` are the entries to show (see cardEntries); `options.names` maps
+ * user IDs to display names and `options.avatars` to avatar data URIs.
+ */
+export function renderCardSvg(gameName, players, gameType, options = {}) {
+  const game = getGame(gameType);
+  if (!game) {
+    throw new Error(`Unknown game type: ${gameType}`);
+  }
+
+  const { names = new Map(), avatars = new Map(), total = players.length, season = null, now = Date.now() } = options;
+  const accent = hexColor(game.color ?? DEFAULT_COLOR);
+  const standing = getStandingFields(game);
+  const peak = getPeakFields(game);
+  const sectionField = game.fields.find(f => f.name === game.sectionField);
+  const height = HEADER_HEIGHT + COLUMN_HEADER_HEIGHT + Math.max(players.length, 1) * ROW_HEIGHT + PADDING;
+
+  // Column positions, left to right
+  const columns = {
+    position: PADDING + 16,
+    avatar: PADDING + 60,
+    name: PADDING + 86,
+    section: PADDING + 290,
+    rank: sectionField ? PADDING + 410 : PADDING + 330,
+    peak: sectionField ? PADDING + 640 : PADDING + 580,
+    updated: WIDTH - PADDING - 12
+  };
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${escapeXml(FONT)}">`,
+    `<rect width="${WIDTH}" height="${height}" fill="${THEME.background}"/>`,
+    `<rect width="${WIDTH}" height="6" fill="${accent}"/>`,
+    text(PADDING, 48, `${gameName.toUpperCase()} LEADERBOARD${season ? ` — ${season}` : ''}`, { 'font-size': 26, 'font-weight': 'bold' }),
+    text(PADDING, 76, `Top ${players.length} of ${total} players · Updated ${formatTimestamp(now)}`, { 'font-size': 14, fill: THEME.muted })
+  ];
+
+  const headerY = HEADER_HEIGHT + 20;
+  const heading = (x, label, anchor = 'start') => text(x, headerY, label.toUpperCase(), {
+    'font-size': 12, 'font-weight': 'bold', fill: THEME.muted, 'text-anchor': anchor, 'letter-spacing': 1
+  });
+
+  parts.push(
+    heading(columns.position, '#', 'middle'),
+    heading(columns.name, 'Player'),
+    ...(sectionField ? [heading(columns.section, game.sectionLabel || sectionField.label)] : []),
+    heading(columns.rank, 'Rank'),
+    ...(peak.rank ? [heading(columns.peak, 'Peak')] : []),
+    heading(columns.updated, 'Updated', 'end')
+  );
+
+  if (players.length === 0) {
+    parts.push(text(PADDING, HEADER_HEIGHT + COLUMN_HEADER_HEIGHT + 30, 'No players yet.', { fill: THEME.muted }));
+  }
+
+  players.forEach((player, i) => {
+    const top = HEADER_HEIGHT + COLUMN_HEADER_HEIGHT + i * ROW_HEIGHT;
+    const middle = top + ROW_HEIGHT / 2;
+    const baseline = middle + 5;
+    const name = displayName(player.userId, names);
+    const value = standing.value && player[standing.value] !== undefined ? `${player[standing.value]} ${game.valueLabel}` : '';
+    parts.push(
+      // Stale players are greyed out, as on the text board
+      `<g${player.activity === 'stale' ? ' opacity="0.55"' : ''}>`,
+      `<rect x="${PADDING - 8}" y="${top + 2}" width="${WIDTH - 2 * (PADDING - 8)}" height="${ROW_HEIGHT - 4}" rx="8" fill="${i % 2 === 0 ? THEME.row : THEME.rowAlt}"/>`,
+      text(columns.position, baseline, String(i + 1), {
+        'font-weight': 'bold', 'text-anchor': 'middle', fill: MEDAL_COLORS[i] || THEME.muted
+      }),
+      renderAvatar(player.userId, name, avatars.get(player.userId), columns.avatar, middle),
+      text(columns.name, baseline, truncate(name, 16), { 'font-weight': 'bold' }),
+      ...(sectionField ? [text(columns.section, baseline, truncate(getSection(player, game), 12), { fill: THEME.muted })] : []),
+      renderRankBadge(player[standing.rank], game, accent, columns.rank + 13, middle),
+      // The value sits under the rank name
+      text(columns.rank + 34, value ? middle - 2 : baseline, truncate(formatRank(player[standing.rank], game), 20)),
+      ...(value ? [text(columns.rank + 34, middle + 15, value, { 'font-size': 12, fill: THEME.muted })] : []),
+      ...(peak.rank && player[peak.rank] ? [text(columns.peak, baseline, truncate(formatRank(player[peak.rank], game), 16), { fill: THEME.muted })] : []),
+      text(columns.updated, baseline, getRelativeTime(player.lastUpdated), {
+        'font-size': 13, fill: THEME.muted, 'text-anchor': 'end'
+      }),
+      '</g>'
+    );
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Rasterize an SVG card to PNG (2x for sharp text on high-DPI screens)
+ * resvg is loaded on first use, so it is only needed when PNG cards are on.
+ */
+export async function renderCardPng(svg) {
+  const { Resvg } = await import('@resvg/resvg-js');
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: 2 },
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+
+  return resvg.render().asPng();
+}
+
+/**
+ * Render the card file to attach: { attachment, name }
+ */
+export async function renderCardFile(gameName, players, gameType, config, options = {}) {
+  const svg = renderCardSvg(gameName, players, gameType, options);
+
+  return config.mode === 'png'
+    ? { attachment: await renderCardPng(svg), name: 'leaderboard.png' }
+    : { attachment: Buffer.from(svg), name: 'leaderboard.svg' };
+}
+
+/**
+ * Add a card file to a board message (text or { content, embeds })
+ * In embed mode a PNG card is shown as the first embed's image.
+ */
+export function attachCard(message, file) {
+  if (typeof message === 'string') {
+    return { content: message, files: [file] };
+  }
+
+  const [first, ...rest] = message.embeds || [];
+  const embeds = first && file.name.endsWith('.png')
+    ? [{ ...first, image: { url: `attachment://${file.name}` } }, ...rest]
+    : message.embeds;
+
+  return { ...message, embeds, files: [file] };
+}
+
+export default {
+  escapeXml,
+  displayName,
+  loadCardConfig,
+  cardEntries,
+  loadAvatars,
+  renderCardSvg,
+  renderCardPng,
+  renderCardFile,
+  attachCard
+};
@@ -0,0 +1,451 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import LeaderboardSync from './sync.js';
+import { getGame, getPlayerKey } from './games/index.js';
+import { validateUpdate } from './parser.js';
+import { renderPlayerLine, renderParseError } from './renderer.js';
+import { authorizeUpdate } from './permissions.js';
+import { rankedPlayers, arrangeByActivity } from './inactivity.js';
+import { findSeason, isBeforeSeason } from './seasons.js';
+import { getMaxTier } from './ranks.js';
+import { getSection, groupBySection, bestEntries, sectionPositions } from './sections.js';
+import { renderBrowsePage, parsePageButton } from './embeds.js';
+
+/**
+ * Slash Commands Module
+ * /lb submit <game> ...  - submit an update with typed options
+ * /lb me game:<x>        - show your own entry and position
+ * /lb top game:<x> n:<k> - show the top of a board
+ *
+ * Submissions are validated with the same parser as channel posts and then
+ * relayed to the game's channel as a regular LB_UPDATE message, so the next
+ * sync applies them exactly like a typed post.
+ */
+
+const MAX_TOP = 25;
+const MAX_REPLY_LENGTH = 2000;
+
+/**
+ * Convert a field name to a slash command option name (currentRank → current_rank)
+ */
+function toOptionName(fieldName) {
+  return fieldName.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+/**
+ * Build the options of a game's submit subcommand from its field schema
+ * Discord requires every required option to come before optional ones.
+ */
+function buildSubmitOptions(subcommand, game) {
+  const required = [];
+  const optional = [];
+
+  for (const field of game.fields) {
+    const name = toOptionName(field.name);
+
+    if (field.type === 'text') {
+      required.push(sub => sub.addStringOption(o => o
+        .setName(name).setDescription(field.label).setRequired(true)
+        .setMaxLength(50).setAutocomplete(Boolean(field.values))));
+    } else if (field.type === 'rank') {
+      (field.optional ? optional : required).push(sub => sub.addStringOption(o => o
+        .setName(name).setDescription(field.label).setRequired(!field.optional).setAutocomplete(true)));
+      optional.push(sub => sub.addIntegerOption(o => o
+        .setName(`${name}_tier`).setDescription(`${field.label} tier (or placement)`)
+        .setMinValue(1).setMaxValue(getMaxTier(game))));
+    } else if (field.type === 'value') {
+      (field.optional ? optional : required).push(sub => sub.addIntegerOption(o => o
+        .setName(name).setDescription(field.label).setRequired(!field.optional).setMinValue(0)));
+    } else if (field.type === 'date') {
+      optional.push(sub => sub.addStringOption(o => o
+        .setName(name).setDescription(`${field.label}, e.g. 2026-02-14 or yesterday (default: now)`)));
+    }
+  }
+
+  [...required, ...optional].forEach(add => add(subcommand));
+  return subcommand;
+}
+
+/**
+ * Build the /lb command for the configured games
+ */
+export function buildCommands(games) {
+  const gameChoices = games.map(game => ({ name: game.name, value: game.type }));
+
+  const command = new SlashCommandBuilder()
+    .setName('lb')
+    .setDescription('Leaderboard commands')
+    .addSubcommandGroup(group => {
+      group.setName('submit').setDescription('Submit a leaderboard update');
+      for (const { type } of games) {
+        const game = getGame(type);
+        group.addSubcommand(sub => buildSubmitOptions(
+          sub.setName(game.code.toLowerCase()).setDescription(`Submit a ${game.name} update`),
+          game
+        ));
+      }
+      return group;
+    })
+    .addSubcommand(sub => sub
+      .setName('me')
+      .setDescription('Show your leaderboard entry')
+      .addStringOption(o => o.setName('game').setDescription('Game').setRequired(true).addChoices(...gameChoices)))
+    .addSubcommand(sub => sub
+      .setName('top')
+      .setDescription('Show the top of a leaderboard')
+      .addStringOption(o => o.setName('game').setDescription('Game').setRequired(true).addChoices(...gameChoices))
+      .addIntegerOption(o => o.setName('n').setDescription(`Number of players (max ${MAX_TOP})`).setMinValue(1).setMaxValue(MAX_TOP)))
+    .addSubcommand(sub => sub
+      .setName('browse')
+      .setDescription('Page through a whole leaderboard')
+      .addStringOption(o => o.setName('game').setDescription('Game').setRequired(true).addChoices(...gameChoices)));
+
+  return [command.toJSON()];
+}
+
+/**
+ * Whether a submit option for a field was filled in
+ */
+function isGiven(interaction, field) {
+  return field.type === 'rank'
+    ? interaction.options.getString(toOptionName(field.name)) !== null
+    : interaction.options.getInteger(toOptionName(field.name)) !== null;
+}
+
+/**
+ * Explain a half-filled set of optional fields (a peak rank without its
+ * value), which a posted update would fail on too; null when complete
+ */
+function incompleteOptional(interaction, game) {
+  const optional = game.fields.filter(f => f.optional);
+  const given = optional.filter(f => isGiven(interaction, f));
+  if (given.length === 0 || given.length === optional.length) return null;
+
+  const missing = optional.filter(f => !given.includes(f));
+  return `❌ You gave the ${given.map(f => f.label).join(' and ')} but not the ${missing.map(f => f.label).join(' and ')}. Give both, or leave both out.`;
+}
+
+/**
+ * Turn submit options back into an LB_UPDATE message for the parser
+ */
+function buildSubmission(interaction, game) {
+  const tokens = [`${game.prefix}:`, `<@${interaction.user.id}>`];
+
+  // Optional fields (a typed peak) are sent only when all of them are given
+  const includeOptional = game.fields.filter(f => f.optional).every(f => isGiven(interaction, f));
+
+  for (const field of game.fields) {
+    const name = toOptionName(field.name);
+    if (field.optional && !includeOptional) continue;
+
+    if (field.type === 'rank') {
+      const tier = interaction.options.getInteger(`${name}_tier`);
+      tokens.push(interaction.options.getString(name, true));
+      if (tier) tokens.push(String(tier));
+    } else if (field.type === 'value') {
+      tokens.push(String(interaction.options.getInteger(name, true)));
+    } else if (field.type === 'date') {
+      // Left out, the date defaults to when the relayed message is posted
+      const date = interaction.options.getString(name);
+      if (date) tokens.push(date);
+    } else {
+      tokens.push(interaction.options.getString(name, true).replace(/\s+/g, ''));
+    }
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Keep whole lines until the reply would exceed Discord's limit
+ */
+function fitLines(lines) {
+  const kept = [];
+  let length = 0;
+
+  for (const line of lines) {
+    if (length + line.length + 1 > MAX_REPLY_LENGTH) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+
+  return kept.join('\n');
+}
+
+/**
+ * Answer privately, filling in the deferred reply once there is one
+ */
+function reply(interaction, content) {
+  const message = { content, allowedMentions: { parse: [] } };
+  return interaction.deferred
+    ? interaction.editReply(message)
+    : interaction.reply({ ...message, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Acknowledge a command before loading a board, which can take longer
+ * than Discord's 3-second reply deadline
+ */
+function defer(interaction) {
+  return interaction.deferReply({ flags: MessageFlags.Ephemeral });
+}
+
+class LeaderboardCommands {
+  constructor(sync) {
+    this.sync = sync;
+  }
+
+  findConfiguredGame(gameType) {
+    return this.sync.games.find(g => g.type === gameType) || null;
+  }
+
+  /**
+   * Resolve a submit subcommand name (the game code, e.g. "ow") to its game
+   */
+  findGameBySubcommand(subcommand) {
+    const configuredGame = this.sync.games.find(g => getGame(g.type).code.toLowerCase() === subcommand);
+    return configuredGame ? { game: getGame(configuredGame.type), configuredGame } : null;
+  }
+
+  async loadState(configuredGame) {
+    // A long-running process keeps the latest state in memory
+    return this.sync.states.get(configuredGame.type) || await this.sync.store.load(configuredGame);
+  }
+
+  /**
+   * Players in board order, without those who dropped out for inactivity
+   */
+  async loadSortedPlayers(configuredGame) {
+    const state = await this.loadState(configuredGame);
+    return rankedPlayers(state.players, configuredGame.type, configuredGame.inactivity);
+  }
+
+  /**
+   * The whole board in published order, sections included
+   */
+  async loadBoard(configuredGame) {
+    const state = await this.loadState(configuredGame);
+    return arrangeByActivity(state.players, configuredGame.type, configuredGame.inactivity);
+  }
+
+  async handleInteraction(interaction) {
+    if (interaction.isAutocomplete()) {
+      return this.handleAutocomplete(interaction);
+    }
+
+    if (interaction.isButton() && parsePageButton(interaction.customId)) {
+      return this.handlePageButton(interaction);
+    }
+
+    if (!interaction.isChatInputCommand() || interaction.commandName !== 'lb') {
+      return;
+    }
+
+    if (interaction.options.getSubcommandGroup(false) === 'submit') {
+      return this.handleSubmit(interaction);
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'me') return this.handleMe(interaction);
+    if (subcommand === 'top') return this.handleTop(interaction);
+    if (subcommand === 'browse') return this.handleBrowse(interaction);
+  }
+
+  async handleAutocomplete(interaction) {
+    const match = this.findGameBySubcommand(interaction.options.getSubcommand());
+    if (!match) return interaction.respond([]);
+
+    const { game } = match;
+
+    const focused = interaction.options.getFocused(true);
+    const field = game.fields.find(f => toOptionName(f.name) === focused.name);
+    const candidates = field?.type === 'rank' ? game.ranks : (field?.values || []);
+    const query = String(focused.value).toLowerCase();
+
+    const matches = candidates
+      .filter(c => c.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(c => ({ name: c, value: c }));
+
+    return interaction.respond(matches);
+  }
+
+  async handleSubmit(interaction) {
+    await defer(interaction);
+
+    const match = this.findGameBySubcommand(interaction.options.getSubcommand());
+    if (!match) {
+      return reply(interaction, '❌ That game is not configured.');
+    }
+
+    const { game, configuredGame } = match;
+
+    // Relayed posts are trusted by the sync, so apply the game's policy here
+    const decision = authorizeUpdate(configuredGame.policy, {
+      authorId: interaction.user.id,
+      authorRoleIds: [...(interaction.member?.roles?.cache?.keys() || [])],
+      targetUserId: interaction.user.id
+    });
+
+    if (!decision.allowed) {
+      return reply(interaction, `⛔ You can't submit ${game.name} updates: ${decision.reason}.`);
+    }
+
+    if (configuredGame.verification.enabled) {
+      return reply(interaction, `📸 ${game.name} updates need a screenshot. Post \`${game.prefix}: ...\` in <#${configuredGame.channelId}> with one attached.`);
+    }
+
+    const incomplete = incompleteOptional(interaction, game);
+    if (incomplete) {
+      return reply(interaction, incomplete);
+    }
+
+    const content = buildSubmission(interaction, game);
+    const validated = validateUpdate(content, game);
+
+    if (validated.error) {
+      return reply(interaction, renderParseError(validated.error, game.key));
+    }
+
+    // The sync would reject it too, but this way the player hears why
+    const { season: seasonName } = await this.loadState(configuredGame);
+    const season = seasonName ? findSeason(game, seasonName) : null;
+    if (season && isBeforeSeason(season, validated.data.lastUpdated)) {
+      return reply(interaction, `⛔ That date is before ${season.name} started (${season.start}).`);
+    }
+
+    await this.sync.discord.postChannelMessage(configuredGame.channelId, content);
+    console.log(`✓ Relayed /lb submit from ${interaction.user.id} for ${game.name}`);
+
+    return reply(interaction, `✅ Submitted! The ${game.name} board updates on the next sync.\n\`${content}\``);
+  }
+
+  async handleMe(interaction) {
+    await defer(interaction);
+
+    const configuredGame = this.findConfiguredGame(interaction.options.getString('game', true));
+    if (!configuredGame) {
+      return reply(interaction, '❌ That game is not configured.');
+    }
+
+    const game = getGame(configuredGame.type);
+    const players = await this.loadSortedPlayers(configuredGame);
+    const own = players.filter(p => p.userId === interaction.user.id);
+
+    if (own.length === 0) {
+      const state = await this.loadState(configuredGame);
+      const stored = state.players.some(p => p.userId === interaction.user.id);
+
+      return reply(interaction, stored
+        ? `Your ${configuredGame.name} entry is hidden after a long time without an update. Use \`/lb submit\` to get back on the board.`
+        : `You are not on the ${configuredGame.name} leaderboard yet. Use \`/lb submit\` to add yourself.`);
+    }
+
+    if (!game.sectionField) {
+      return reply(interaction, [
+        `**#${players.indexOf(own[0]) + 1} of ${players.length}** on ${configuredGame.name}`,
+        renderPlayerLine(own[0], configuredGame.type)
+      ].join('\n'));
+    }
+
+    // One line per section the player has an entry in
+    const positions = sectionPositions(players, game);
+    const sections = groupBySection(players, game);
+
+    return reply(interaction, fitLines(own.flatMap(player => {
+      const section = getSection(player, game);
+      const size = sections.find(s => s.section === section).players.length;
+
+      return [
+        `**#${positions.get(getPlayerKey(player, game))} of ${size}** ${section} on ${configuredGame.name}`,
+        renderPlayerLine(player, configuredGame.type)
+      ];
+    })));
+  }
+
+  async handleTop(interaction) {
+    await defer(interaction);
+
+    const configuredGame = this.findConfiguredGame(interaction.options.getString('game', true));
+    if (!configuredGame) {
+      return reply(interaction, '❌ That game is not configured.');
+    }
+
+    const n = interaction.options.getInteger('n') || 10;
+    // Sectioned games rank each player by their best entry
+    const players = bestEntries(await this.loadSortedPlayers(configuredGame));
+
+    if (players.length === 0) {
+      return reply(interaction, `No ${configuredGame.name} leaderboard data available.`);
+    }
+
+    const lines = [
+      `🏆 **${configuredGame.name} Top ${Math.min(n, players.length)}**`,
+      ...players.slice(0, n).map((player, i) => `${i + 1}. ${renderPlayerLine(player, configuredGame.type)}`)
+    ];
+
+    return reply(interaction, fitLines(lines));
+  }
+
+  async handleBrowse(interaction) {
+    await defer(interaction);
+
+    const configuredGame = this.findConfiguredGame(interaction.options.getString('game', true));
+    if (!configuredGame) {
+      return reply(interaction, '❌ That game is not configured.');
+    }
+
+    const page = renderBrowsePage(configuredGame.name, await this.loadBoard(configuredGame), configuredGame.type, 0, configuredGame.render);
+    return interaction.editReply({ ...page, allowedMentions: { parse: [] } });
+  }
+
+  /**
+   * ◀ ▶ on a /lb browse reply: re-render the requested page in place
+   * The button is acknowledged first, since loading the board can be slow.
+   */
+  async handlePageButton(interaction) {
+    await interaction.deferUpdate();
+
+    const { gameType, page } = parsePageButton(interaction.customId);
+    const configuredGame = this.findConfiguredGame(gameType);
+    if (!configuredGame) {
+      return interaction.editReply({ content: '❌ That game is not configured.', embeds: [], components: [] });
+    }
+
+    const board = await this.loadBoard(configuredGame);
+    return interaction.editReply({ ...renderBrowsePage(configuredGame.name, board, gameType, page, configuredGame.render), allowedMentions: { parse: [] } });
+  }
+}
+
+async function main() {
+  const guildId = process.env.DISCORD_GUILD_ID;
+  const sync = new LeaderboardSync();
+
+  try {
+    if (!guildId) {
+      throw new Error('Missing required environment variable: DISCORD_GUILD_ID');
+    }
+
+    await sync.initialize();
+
+    const commands = new LeaderboardCommands(sync);
+    await sync.discord.registerGuildCommands(guildId, buildCommands(sync.games));
+    sync.discord.onInteraction(interaction => commands.handleInteraction(interaction));
+
+    console.log('✓ Listening for /lb commands (Ctrl+C to stop)');
+
+    process.once('SIGINT', async () => {
+      await sync.cleanup();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error.message);
+    await sync.cleanup();
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default LeaderboardCommands;
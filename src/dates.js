@@ -0,0 +1,237 @@
+/**
+ * Date Parsing Module
+ * Reads the dates players type in updates. Relative phrases count back from
+ * the message's own timestamp, so re-reading an old message gives the same
+ * date. Calendar dates are midnight in DISPLAY_TIMEZONE.
+ *
+ * Accepted:
+ * - today, now, yesterday, monday, last friday, 3 days ago, a week ago
+ * - 2026-02-14, 2026/02/14, 2026-02-14T18:30 (ISO with a time)
+ * - 14/02/2026, 14.02.26, 14/02 (DATE_ORDER=DMY, the default) or MDY
+ * - 14 Feb 2026, Feb 14, February 14, 2026
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates up to a day ahead are allowed for players in other timezones
+// (also the limit for the anomaly checks)
+export const FUTURE_TOLERANCE_MS = DAY_MS;
+
+const DATE_ORDERS = ['DMY', 'MDY'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+/**
+ * Load the timezone and day/month order from the environment
+ */
+export function loadDateConfig(env = process.env) {
+  const timeZone = env.DISPLAY_TIMEZONE || 'UTC';
+  const order = (env.DATE_ORDER || 'DMY').toUpperCase();
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Invalid DISPLAY_TIMEZONE "${timeZone}" (expected an IANA name like Europe/Berlin)`);
+  }
+
+  if (!DATE_ORDERS.includes(order)) {
+    throw new Error(`Invalid DATE_ORDER "${order}" (expected: ${DATE_ORDERS.join(', ')})`);
+  }
+
+  return { timeZone, order };
+}
+
+/**
+ * Calendar date and weekday of a moment in a timezone
+ */
+function localDate(time, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long'
+  }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a moment, in ms
+ */
+function timeZoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Midnight of a calendar date in a timezone, or null when the date does
+ * not exist (31/02)
+ */
+function midnight(year, month, day, timeZone) {
+  const utc = Date.UTC(year, month - 1, day);
+  const check = new Date(utc);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  // Apply the offset twice so a DST change on that day lands correctly
+  const guess = utc - timeZoneOffset(utc, timeZone);
+  return utc - timeZoneOffset(guess, timeZone);
+}
+
+/**
+ * Two-digit years are in this century
+ */
+function fullYear(year) {
+  return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Midnight of a calendar date; without a year, the latest such date that
+ * is not in the future
+ */
+function calendarDate(year, month, day, reference, timeZone) {
+  if (year !== undefined) return midnight(fullYear(year), month, day, timeZone);
+
+  const { year: current } = localDate(reference, timeZone);
+  const thisYear = midnight(current, month, day, timeZone);
+  return thisYear !== null && thisYear > reference + FUTURE_TOLERANCE_MS
+    ? midnight(current - 1, month, day, timeZone)
+    : thisYear;
+}
+
+/**
+ * Month number from a name or an abbreviation of at least three letters
+ * ("feb", "sept", "february"), or null
+ */
+function monthNumber(name) {
+  if (name.length < 3) return null;
+  const index = MONTHS.findIndex(month => month.startsWith(name));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Read a relative phrase (today, 3 days ago, last monday), or null
+ */
+function parseRelative(text, reference, timeZone) {
+  if (text === 'today' || text === 'now') return reference;
+  if (text === 'yesterday') return reference - DAY_MS;
+
+  const ago = text.match(/^(\d+|a|an|one)\s+(minute|hour|day|week|month)s?\s+ago$/);
+  if (ago) {
+    const count = /^\d+$/.test(ago[1]) ? parseInt(ago[1], 10) : 1;
+    return reference - count * UNIT_MS[ago[2]];
+  }
+
+  // "monday" is the latest Monday (today included), "last monday" the one before today
+  const weekday = text.match(/^(last\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekday) {
+    const today = localDate(reference, timeZone);
+    let daysBack = (today.weekday - WEEKDAYS.indexOf(weekday[2]) + 7) % 7;
+    if (weekday[1] && daysBack === 0) daysBack = 7;
+    return reference - daysBack * DAY_MS;
+  }
+
+  return null;
+}
+
+/**
+ * Read a calendar date, or null (undefined when the text is not a date at all)
+ */
+function parseCalendar(text, reference, config) {
+  const { timeZone, order } = config;
+
+  // ISO with a time (and maybe an offset) is unambiguous
+  if (/^\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}/.test(text)) {
+    const hasZone = /(z|[+-]\d{2}:?\d{2})$/.test(text);
+    const [datePart, timePart] = text.split(/[t ]/);
+    const time = new Date(hasZone ? text.toUpperCase() : `${datePart}T${timePart}Z`).getTime();
+    if (isNaN(time)) return null;
+    return hasZone ? time : time - timeZoneOffset(time, timeZone);
+  }
+
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (ymd) return midnight(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]), timeZone);
+
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+  if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    // DATE_ORDER only decides ambiguous dates: 2/14 can only be February 14
+    const dayFirst = first > 12 || (second <= 12 && order === 'DMY');
+    const [day, month] = dayFirst ? [first, second] : [second, first];
+    return calendarDate(numeric[3] && Number(numeric[3]), month, day, reference, timeZone);
+  }
+
+  // 14 Feb 2026, 14 February
+  const dayFirst = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?(?:\s+(\d{4}))?$/);
+  if (dayFirst && monthNumber(dayFirst[2])) {
+    return calendarDate(dayFirst[3] && Number(dayFirst[3]), monthNumber(dayFirst[2]), Number(dayFirst[1]), reference, timeZone);
+  }
+
+  // Feb 14 2026, February 14, 2026
+  const monthFirst = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?(?:\s+(\d{4}))?$/);
+  if (monthFirst && monthNumber(monthFirst[1])) {
+    return calendarDate(monthFirst[3] && Number(monthFirst[3]), monthNumber(monthFirst[1]), Number(monthFirst[2]), reference, timeZone);
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse a typed date relative to `reference` (the message timestamp, ms)
+ * Returns { date } as an ISO string, or { reason } when it cannot be used
+ */
+export function parseDate(text, reference = Date.now(), config = loadDateConfig()) {
+  const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const relative = parseRelative(normalized, reference, config.timeZone);
+  const time = relative ?? parseCalendar(normalized, reference, config);
+
+  if (time === undefined || time === null || isNaN(time)) {
+    return { reason: time === null ? 'that date does not exist' : 'invalid date' };
+  }
+
+  if (time > reference + FUTURE_TOLERANCE_MS) {
+    return { reason: 'the date is in the future' };
+  }
+
+  return { date: new Date(time).toISOString() };
+}
+
+/**
+ * Format a moment for display in DISPLAY_TIMEZONE
+ */
+export function formatTimestamp(time, config = loadDateConfig()) {
+  if (config.timeZone === 'UTC') return new Date(time).toUTCString();
+
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timeZone,
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', timeZoneName: 'short'
+  }).format(new Date(time));
+}
+
+export default {
+  DAY_MS,
+  FUTURE_TOLERANCE_MS,
+  loadDateConfig,
+  parseDate,
+  formatTimestamp
+};
@@ -1,14 +1,30 @@
-import { Client, GatewayIntentBits, WebhookClient } from 'discord.js';
+import { Client, GatewayIntentBits, Partials, WebhookClient } from 'discord.js';
 
 /**
  * Discord Integration Module
  */
 
+// How long a member's roles are trusted before they are fetched again, so
+// a moderator who loses the role loses their rights without a restart
+const ROLE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Board messages are either plain content or a { content, embeds, files }
+ * payload. Missing embeds and attachments are sent as empty lists, so an
+ * edit clears embeds or a card left over from another mode.
+ */
+function messageBody(message) {
+  return typeof message === 'string'
+    ? { content: message, embeds: [], attachments: [] }
+    : { content: '', embeds: [], attachments: [], ...message };
+}
+
 class DiscordIntegration {
   constructor(token) {
     this.token = token;
     this.client = null;
     this.webhooks = new Map();
+    this.memberRoles = new Map();
     this.rateLimitDelay = parseInt(process.env.DISCORD_RATE_LIMIT_DELAY || '1000', 10);
   }
 
@@ -17,8 +33,11 @@ class DiscordIntegration {
       intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildMessageReactions,
         GatewayIntentBits.MessageContent
-      ]
+      ],
+      // Edits, deletions and reactions on messages sent before the bot started arrive as partials
+      partials: [Partials.Message, Partials.Reaction, Partials.User]
     });
 
     await this.client.login(this.token);
@@ -62,6 +81,54 @@ class DiscordIntegration {
     }
   }
 
+  /**
+   * Fetch every message after a cursor, following `after` across pages
+   * until the channel is caught up or the message budget is spent.
+   * Returns the messages oldest-first and whether a backlog remains.
+   */
+  async fetchMessagesSince(channelId, afterMessageId = null, budget = 500) {
+    const messages = [];
+    let cursor = afterMessageId || '0';
+
+    while (messages.length < budget) {
+      const pageSize = Math.min(budget - messages.length, 100);
+      const page = await this.fetchMessages(channelId, cursor, pageSize);
+
+      messages.push(...page);
+
+      // A short page means the channel is caught up
+      if (page.length < pageSize) {
+        return { messages, hasMore: false };
+      }
+
+      cursor = page[page.length - 1].id;
+    }
+
+    // The budget ran out on a full page: look one message ahead for a real backlog
+    const hasMore = (await this.fetchMessages(channelId, cursor, 1)).length > 0;
+
+    if (hasMore) {
+      console.warn(`⚠️  Message budget of ${budget} reached, backlog remains in channel ${channelId}`);
+    }
+
+    return { messages, hasMore };
+  }
+
+  /**
+   * Fetch a single channel message, or null if it has been deleted
+   */
+  async fetchChannelMessage(channelId, messageId) {
+    try {
+      const channel = await this.client.channels.fetch(channelId);
+      return await channel.messages.fetch(messageId);
+    } catch (error) {
+      if (error.code === 10008) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   getWebhookClient(webhookUrl) {
     if (this.webhooks.has(webhookUrl)) {
       return this.webhooks.get(webhookUrl);
@@ -97,20 +164,20 @@ class DiscordIntegration {
     }
   }
 
-  async sendLeaderboardMessage(webhookUrl, content) {
+  async sendLeaderboardMessage(webhookUrl, message) {
     try {
       await this.delay(this.rateLimitDelay);
       
       const webhook = this.getWebhookClient(webhookUrl);
       
-      const message = await webhook.send({
-        content,
+      const sent = await webhook.send({
+        ...messageBody(message),
         username: 'Leaderboard System',
         allowedMentions: { parse: ['users'] }
       });
 
-      console.log(`✓ Sent new leaderboard message: ${message.id}`);
-      return message.id;
+      console.log(`✓ Sent new leaderboard message: ${sent.id}`);
+      return sent.id;
     } catch (error) {
       if (error.code === 10015) {
         throw new Error('Webhook not found or deleted');
@@ -119,14 +186,28 @@ class DiscordIntegration {
     }
   }
 
-  async updateLeaderboardMessage(webhookUrl, messageId, content) {
+  /**
+   * Post an announcement; mentioned players are pinged
+   */
+  async sendAnnouncement(webhookUrl, content) {
+    await this.delay(this.rateLimitDelay);
+
+    const webhook = this.getWebhookClient(webhookUrl);
+    await webhook.send({
+      content,
+      username: 'Leaderboard System',
+      allowedMentions: { parse: ['users'] }
+    });
+  }
+
+  async updateLeaderboardMessage(webhookUrl, messageId, message) {
     try {
       await this.delay(this.rateLimitDelay);
       
       const webhook = this.getWebhookClient(webhookUrl);
       
       await webhook.editMessage(messageId, {
-        content,
+        ...messageBody(message),
         allowedMentions: { parse: ['users'] }
       });
 
@@ -141,19 +222,193 @@ class DiscordIntegration {
     }
   }
 
-  async upsertLeaderboardMessage(webhookUrl, persistentMessageId, content) {
+  async upsertLeaderboardMessage(webhookUrl, persistentMessageId, message) {
     if (persistentMessageId) {
-      const updated = await this.updateLeaderboardMessage(webhookUrl, persistentMessageId, content);
+      const updated = await this.updateLeaderboardMessage(webhookUrl, persistentMessageId, message);
       
       if (updated) {
         return { messageId: persistentMessageId, action: 'updated' };
       }
     }
 
-    const messageId = await this.sendLeaderboardMessage(webhookUrl, content);
+    const messageId = await this.sendLeaderboardMessage(webhookUrl, message);
     return { messageId, action: 'created' };
   }
 
+  async deleteWebhookMessage(webhookUrl, messageId) {
+    try {
+      await this.delay(this.rateLimitDelay);
+
+      const webhook = this.getWebhookClient(webhookUrl);
+      await webhook.deleteMessage(messageId);
+
+      console.log(`✓ Deleted message: ${messageId}`);
+      return true;
+    } catch (error) {
+      if (error.code === 10008) {
+        console.warn(`Message ${messageId} already deleted`);
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post the given contents (text or { content, embeds } payloads) as new
+   * shard messages and return their IDs in order. Existing shards are never
+   * edited, so a board keeps its old shards until its manifest lists the
+   * new ones. If a post fails, the shards posted so far are deleted again.
+   */
+  async postShardMessages(webhookUrl, contents) {
+    const shardIds = [];
+
+    try {
+      for (const content of contents) {
+        shardIds.push(await this.sendLeaderboardMessage(webhookUrl, content));
+      }
+    } catch (error) {
+      await this.deleteWebhookMessages(webhookUrl, shardIds);
+      throw error;
+    }
+
+    return shardIds;
+  }
+
+  /**
+   * Delete messages nothing refers to any more (old shards, an unfinished
+   * archive); a failed delete only leaves a stray message, so it is logged
+   * rather than thrown
+   */
+  async deleteWebhookMessages(webhookUrl, messageIds) {
+    for (const messageId of messageIds) {
+      try {
+        await this.deleteWebhookMessage(webhookUrl, messageId);
+      } catch (error) {
+        console.warn(`⚠️  Could not delete message ${messageId}: ${error.message}`);
+      }
+    }
+  }
+
+  async registerGuildCommands(guildId, commands) {
+    await this.client.application.commands.set(commands, guildId);
+    console.log(`✓ Registered ${commands.length} command(s) in guild ${guildId}`);
+  }
+
+  listen(event, handler) {
+    this.client.on(event, async (...args) => {
+      try {
+        await handler(...args);
+      } catch (error) {
+        console.error(`✗ Error handling ${event}:`, error.message);
+      }
+    });
+  }
+
+  onInteraction(handler) {
+    this.listen('interactionCreate', handler);
+  }
+
+  onMessageCreate(handler) {
+    this.listen('messageCreate', handler);
+  }
+
+  onMessageUpdate(handler) {
+    this.listen('messageUpdate', async (oldMessage, newMessage) => {
+      const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+      await handler(message, oldMessage);
+    });
+  }
+
+  onMessageDelete(handler) {
+    this.listen('messageDelete', handler);
+  }
+
+  onReactionAdd(handler) {
+    this.listen('messageReactionAdd', async (reaction, user) => {
+      if (user.id === this.botUserId) return;
+      await handler(reaction.partial ? await reaction.fetch() : reaction, user);
+    });
+  }
+
+  /**
+   * Post as the bot; only the users in `mentionUserIds` are pinged
+   */
+  async postChannelMessage(channelId, content, mentionUserIds = []) {
+    const channel = await this.client.channels.fetch(channelId);
+
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Channel ${channelId} is not a text channel`);
+    }
+
+    const message = await channel.send({ content, allowedMentions: { parse: [], users: mentionUserIds } });
+    return message.id;
+  }
+
+  /**
+   * IDs of the users (other than the bot) who reacted to a message with an emoji
+   */
+  async fetchReactionUserIds(message, emoji) {
+    const reaction = message.reactions.cache.get(emoji);
+    if (!reaction) return [];
+
+    const users = await reaction.users.fetch();
+    return [...users.keys()].filter(id => id !== this.botUserId);
+  }
+
+  async reactToMessage(message, emoji) {
+    try {
+      await message.react(emoji);
+    } catch (error) {
+      console.warn(`Could not react to message ${message.id}: ${error.message}`);
+    }
+  }
+
+  async replyToMessage(message, content) {
+    try {
+      await message.reply({ content, allowedMentions: { repliedUser: true, parse: [] } });
+    } catch (error) {
+      console.warn(`Could not reply to message ${message.id}: ${error.message}`);
+    }
+  }
+
+  async sendDirectMessage(user, content) {
+    try {
+      await user.send({ content });
+    } catch (error) {
+      // Users can close DMs from server members
+      console.warn(`Could not DM user ${user.id}: ${error.message}`);
+    }
+  }
+
+  get botUserId() {
+    return this.client?.user?.id || null;
+  }
+
+  /**
+   * Role IDs of a guild member, cached for ROLE_CACHE_TTL_MS
+   * A failed fetch returns no roles and is not cached, so the next check
+   * asks again.
+   */
+  async fetchMemberRoleIds(guildId, userId) {
+    const key = `${guildId}:${userId}`;
+    const cached = this.memberRoles.get(key);
+    if (cached && Date.now() - cached.fetchedAt < ROLE_CACHE_TTL_MS) {
+      return cached.roleIds;
+    }
+
+    try {
+      const guild = await this.client.guilds.fetch(guildId);
+      const member = await guild.members.fetch({ user: userId, force: true });
+      const roleIds = [...member.roles.cache.keys()];
+
+      this.memberRoles.set(key, { roleIds, fetchedAt: Date.now() });
+      return roleIds;
+    } catch (error) {
+      console.warn(`Could not fetch roles for user ${userId}: ${error.message}`);
+      return [];
+    }
+  }
+
   async resolveUsername(userId) {
     try {
       const user = await this.client.users.fetch(userId);
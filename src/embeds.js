@@ -0,0 +1,268 @@
+/**
+ * Embed Renderer Module
+ * The alternate board layout for RENDER_MODE=embed: each board message shows
+ * its players as embed columns (position, player, rank, peak and update
+ * time) in the game's colour. The encoded state stays in the message
+ * content, hidden in a spoiler, so the board is read back the same way as
+ * in text mode.
+ *
+ * Embeds and buttons are plain API objects, accepted by discord.js as-is.
+ */
+
+import { encodeState, encodeManifest } from './storage.js';
+import { getStandingFields, getPlayerKey } from './games/index.js';
+import { getSection, sectionPositions } from './sections.js';
+import { MEDALS, renderManifest, renderSegment, renderTrend, requireGame, validateMessageLength } from './renderer.js';
+
+// Players per embed: keeps every column under the 1024-character field limit
+export const EMBED_PAGE_SIZE = 15;
+
+// Discord's limits per message: 10 embeds, 6000 characters across them
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARS = 6000;
+
+// Button custom IDs: lb:page:<game type>:<page index>
+export const PAGE_BUTTON_PREFIX = 'lb:page:';
+
+// Accent colour for games without their own (Discord blurple)
+export const DEFAULT_COLOR = 0x5865f2;
+
+const RENDER_MODES = ['text', 'embed'];
+
+/**
+ * Load a game's render mode (GAME_<KEY>_RENDER_MODE, then RENDER_MODE) and
+ * optional embed thumbnail
+ */
+export function loadRenderConfig(gameKey, env = process.env) {
+  const mode = (env[`GAME_${gameKey}_RENDER_MODE`] || env.RENDER_MODE || 'text').toLowerCase();
+
+  if (!RENDER_MODES.includes(mode)) {
+    throw new Error(`Invalid RENDER_MODE "${mode}" for ${gameKey} (expected: ${RENDER_MODES.join(', ')})`);
+  }
+
+  return { mode, thumbnailUrl: env[`GAME_${gameKey}_THUMBNAIL_URL`] || null };
+}
+
+/**
+ * Colour and thumbnail shared by a game's embeds
+ */
+function embedStyle(game, style) {
+  const thumbnailUrl = style.thumbnailUrl || game.thumbnail;
+
+  return {
+    color: game.color ?? DEFAULT_COLOR,
+    ...(thumbnailUrl ? { thumbnail: { url: thumbnailUrl } } : {})
+  };
+}
+
+/**
+ * Split board entries into pages of up to EMBED_PAGE_SIZE, starting a new
+ * page wherever a section starts. Dropped players are left out.
+ * Returns [{ section, players }]
+ */
+export function pageBoard(players, game) {
+  const pages = [];
+
+  for (const player of players.filter(p => p.activity !== 'dropped')) {
+    const section = getSection(player, game);
+    const current = pages[pages.length - 1];
+
+    if (!current || current.section !== section || current.players.length >= EMBED_PAGE_SIZE) {
+      pages.push({ section, players: [player] });
+    } else {
+      current.players.push(player);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Position marker: a medal for the top 3, 💤 for stale players, else #n
+ */
+function positionMarker(player, position) {
+  if (player.activity === 'stale') return '💤';
+  return position <= MEDALS.length ? MEDALS[position - 1] : `\`#${position}\``;
+}
+
+/**
+ * Check whether a display segment shows a rank
+ */
+function isRankSegment(segment, game) {
+  return game.fields.find(f => f.name === segment.field)?.type === 'rank';
+}
+
+/**
+ * Render one page of players as an embed with three columns
+ * `positions` maps entry keys to their position (see sectionPositions).
+ */
+function renderPage(page, game, positions, style, footer = null) {
+  const standing = getStandingFields(game);
+  const rankSegment = game.display.find(segment => segment.field === standing.rank);
+  const otherRanks = game.display.filter(segment => segment !== rankSegment && isRankSegment(segment, game));
+  const textSegments = game.display.filter(segment => !isRankSegment(segment, game) && segment.field !== game.sectionField);
+
+  const rows = page.players.map(player => {
+    const position = positions.get(getPlayerKey(player, game));
+    const details = textSegments.map(segment => renderSegment(player, segment, game));
+    const trend = renderTrend(player, game);
+    const updated = `<t:${Math.floor(new Date(player.lastUpdated).getTime() / 1000)}:R>`;
+
+    return {
+      player: [positionMarker(player, position), `<@${player.userId}>${player.verified ? ' ✔' : ''}`, ...details].join(' '),
+      rank: [rankSegment ? renderSegment(player, { ...rankSegment, label: null }, game) : '', trend].filter(Boolean).join(' '),
+      more: [...otherRanks.map(segment => renderSegment(player, { ...segment, label: null }, game)), updated].join(' · ')
+    };
+  });
+
+  const moreName = [...otherRanks.map(segment => segment.label).filter(Boolean), 'Updated'].join(' · ');
+  const first = positions.get(getPlayerKey(page.players[0], game));
+  const last = positions.get(getPlayerKey(page.players[page.players.length - 1], game));
+
+  return {
+    title: page.section ? `🎯 Top ${page.section}` : `📄 Players ${first}–${last}`,
+    ...embedStyle(game, style),
+    fields: [
+      { name: 'Player', value: rows.map(row => row.player).join('\n'), inline: true },
+      { name: rankSegment?.label || 'Rank', value: rows.map(row => row.rank).join('\n'), inline: true },
+      { name: moreName, value: rows.map(row => row.more).join('\n'), inline: true }
+    ],
+    ...(footer ? { footer: { text: footer } } : {})
+  };
+}
+
+/**
+ * Characters of an embed that count towards Discord's per-message total
+ */
+function embedLength(embed) {
+  return (embed.title || '').length +
+    (embed.description || '').length +
+    (embed.footer?.text || '').length +
+    (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * Check whether a shard payload fits in one message
+ */
+function fitsMessage(shard, maxLength) {
+  return shard.content.length <= maxLength &&
+    shard.embeds.length <= MAX_EMBEDS &&
+    shard.embeds.reduce((sum, embed) => sum + embedLength(embed), 0) <= MAX_EMBED_CHARS;
+}
+
+/**
+ * Render the manifest as an embed; the manifest block stays in the content
+ */
+export function renderEmbedManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board = {}, style = {}) {
+  const game = requireGame(gameType);
+  const block = encodeManifest(lastProcessedMessageId, gameType, shardIds, board);
+  const [title, ...body] = renderManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board)
+    .replace(block, '')
+    .trim()
+    .split('\n');
+
+  return {
+    content: `||${block}||`,
+    embeds: [{
+      title,
+      description: body.join('\n').trim(),
+      ...embedStyle(game, style)
+    }]
+  };
+}
+
+/**
+ * Split the sorted board into shard messages: each holds as many players as
+ * fit in its encoded state and Discord's embed limits, one embed per page
+ * Returns message payloads ({ content, embeds }), in board order
+ */
+export function paginateEmbeds(players, lastProcessedMessageId, gameType, style = {}, maxLength = 1900) {
+  const game = requireGame(gameType);
+  const positions = sectionPositions(players, game);
+  const shards = [];
+  let current = [];
+
+  const render = shardPlayers => {
+    const pages = pageBoard(shardPlayers, game);
+    const hidden = shardPlayers.length - pages.reduce((sum, page) => sum + page.players.length, 0);
+    const hiddenNote = hidden > 0 ? `${hidden} ${hidden === 1 ? 'player is' : 'players are'} hidden until they post a new update` : null;
+
+    return {
+      content: encodeState(lastProcessedMessageId, shardPlayers, gameType),
+      embeds: pages.map((page, i) => renderPage(page, game, positions, style, i === pages.length - 1 ? hiddenNote : null))
+    };
+  };
+
+  for (const player of players) {
+    const candidate = [...current, player];
+
+    if (!fitsMessage(render(candidate), maxLength) && current.length > 0) {
+      shards.push(render(current));
+      current = [player];
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current.length > 0) {
+    shards.push(render(current));
+  }
+
+  shards.forEach(shard => validateMessageLength(shard.content));
+
+  return shards;
+}
+
+/**
+ * Render one page of the full board with ◀ ▶ buttons
+ * `players` is the board in order; `page` is clamped to the pages there are.
+ */
+export function renderBrowsePage(gameName, players, gameType, page = 0, style = {}) {
+  const game = requireGame(gameType);
+  const pages = pageBoard(players, game);
+
+  if (pages.length === 0) {
+    return { content: `No ${gameName} leaderboard data available.`, embeds: [], components: [] };
+  }
+
+  const index = Math.min(Math.max(page, 0), pages.length - 1);
+  const embed = renderPage(pages[index], game, sectionPositions(players, game), style, `Page ${index + 1} of ${pages.length}`);
+  const button = (label, target, disabled) => ({
+    type: 2,
+    style: 2,
+    label,
+    custom_id: `${PAGE_BUTTON_PREFIX}${gameType}:${target}`,
+    disabled
+  });
+
+  return {
+    content: '',
+    embeds: [{ ...embed, title: `🏆 ${gameName} — ${embed.title}` }],
+    components: [{
+      type: 1,
+      components: [button('◀', index - 1, index === 0), button('▶', index + 1, index === pages.length - 1)]
+    }]
+  };
+}
+
+/**
+ * Read a page button's custom ID, or null when it is not one
+ */
+export function parsePageButton(customId) {
+  if (!customId?.startsWith(PAGE_BUTTON_PREFIX)) return null;
+
+  const [gameType, page] = customId.substring(PAGE_BUTTON_PREFIX.length).split(':');
+  return { gameType, page: parseInt(page, 10) || 0 };
+}
+
+export default {
+  EMBED_PAGE_SIZE,
+  DEFAULT_COLOR,
+  PAGE_BUTTON_PREFIX,
+  loadRenderConfig,
+  pageBoard,
+  renderEmbedManifest,
+  paginateEmbeds,
+  renderBrowsePage,
+  parsePageButton
+};
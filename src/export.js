@@ -0,0 +1,332 @@
+/**
+ * Static Export Module
+ * Writes the boards as static files for a website or GitHub Pages:
+ * - leaderboard.json: every game's board in a versioned schema
+ * - feed.xml:         an Atom feed of rank changes
+ * - index.html and one self-contained page per game (no scripts or external assets)
+ *
+ * The export reads the same sorted, decoded state the boards are rendered
+ * from, so the site always matches Discord.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { getGame, getStandingFields, getPeakFields, getPlayerKey } from './games/index.js';
+import { getSection, sectionPositions } from './sections.js';
+import { getRankSortValue } from './ranks.js';
+import { formatRank } from './renderer.js';
+import { loadDateConfig, formatTimestamp } from './dates.js';
+import { DEFAULT_COLOR } from './embeds.js';
+import { escapeXml, displayName } from './cards.js';
+
+// Bump when leaderboard.json changes shape
+export const EXPORT_SCHEMA_VERSION = 1;
+
+// Rank changes kept in the feed, newest first
+const FEED_SIZE = 50;
+
+/**
+ * Page file name of a game ("MARVEL_RIVALS" → "marvel-rivals.html")
+ */
+function pageName(gameType) {
+  return `${gameType.toLowerCase().replace(/_/g, '-')}.html`;
+}
+
+/**
+ * A rank as exported: the stored rank and tier plus its display text
+ */
+function exportRank(rankObj, game) {
+  if (!rankObj) return null;
+  return { rank: rankObj.rank, tier: rankObj.tier ?? null, display: formatRank(rankObj, game) };
+}
+
+/**
+ * Export one game's board; dropped players are left out, as on Discord
+ * `board` is { type, name, season, players } with players in board order.
+ */
+export function exportBoard(board, names = new Map()) {
+  const game = getGame(board.type);
+  const standing = getStandingFields(game);
+  const peak = getPeakFields(game);
+  const players = board.players.filter(p => p.activity !== 'dropped');
+  const positions = sectionPositions(players, game);
+
+  return {
+    key: game.key,
+    name: board.name,
+    code: game.code,
+    valueLabel: game.valueLabel,
+    season: board.season || null,
+    sectionLabel: game.sectionField
+      ? game.sectionLabel || game.fields.find(f => f.name === game.sectionField).label
+      : null,
+    page: pageName(game.key),
+    players: players.map(player => ({
+      userId: player.userId,
+      name: displayName(player.userId, names),
+      section: getSection(player, game),
+      position: positions.get(getPlayerKey(player, game)),
+      activity: player.activity || 'active',
+      verified: Boolean(player.verified),
+      rank: exportRank(player[standing.rank], game),
+      value: player[standing.value] ?? null,
+      peak: peak.rank && player[peak.rank]
+        ? { rank: exportRank(player[peak.rank], game), value: player[peak.value] ?? null }
+        : null,
+      lastUpdated: player.lastUpdated,
+      history: (player.history || []).map(snapshot => ({
+        rank: exportRank(snapshot.rank, game),
+        value: snapshot.value ?? null,
+        date: snapshot.date
+      }))
+    }))
+  };
+}
+
+/**
+ * Build leaderboard.json for all boards
+ */
+export function buildExport(boards, options = {}) {
+  const { names = new Map(), now = Date.now() } = options;
+
+  return {
+    schema: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date(now).toISOString(),
+    games: boards.map(board => exportBoard(board, names))
+  };
+}
+
+/**
+ * Rank changes across all boards, newest first: one per history step whose
+ * rank differs from the one before, plus the first report of each entry
+ */
+export function collectRankChanges(boards, names = new Map()) {
+  const changes = [];
+
+  for (const board of boards) {
+    const game = getGame(board.type);
+    const standing = getStandingFields(game);
+
+    for (const player of board.players.filter(p => p.activity !== 'dropped')) {
+      const timeline = [
+        ...(player.history || []).map(snapshot => ({ rank: snapshot.rank, date: snapshot.date })),
+        { rank: player[standing.rank], date: player.lastUpdated }
+      ].filter(step => step.rank);
+
+      const base = {
+        game: board.name,
+        gameType: game.key,
+        key: getPlayerKey(player, game),
+        name: displayName(player.userId, names),
+        section: getSection(player, game)
+      };
+
+      if (player.movement === 'new' && timeline.length === 1) {
+        changes.push({ ...base, kind: 'joined', to: formatRank(timeline[0].rank, game), date: timeline[0].date });
+      }
+
+      for (let i = 1; i < timeline.length; i++) {
+        const before = getRankSortValue(timeline[i - 1].rank, game);
+        const after = getRankSortValue(timeline[i].rank, game);
+        if (before === after) continue;
+
+        changes.push({
+          ...base,
+          kind: after > before ? 'climbed' : 'dropped',
+          from: formatRank(timeline[i - 1].rank, game),
+          to: formatRank(timeline[i].rank, game),
+          date: timeline[i].date
+        });
+      }
+    }
+  }
+
+  return changes.sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, FEED_SIZE);
+}
+
+/**
+ * One line describing a rank change ("Alpha climbed from Diamond 3 to Master 2")
+ */
+function describeChange(change) {
+  const who = change.section ? `${change.name} (${change.section})` : change.name;
+  return change.kind === 'joined'
+    ? `${who} joined the ${change.game} board at ${change.to}`
+    : `${who} ${change.kind} from ${change.from} to ${change.to} on ${change.game}`;
+}
+
+/**
+ * Render the Atom feed of rank changes
+ * `siteUrl` is where the export is published; links are left out without it.
+ */
+export function renderFeed(changes, options = {}) {
+  const { siteUrl = null, now = Date.now() } = options;
+  const base = siteUrl ? siteUrl.replace(/\/$/, '') : null;
+
+  const entries = changes.map(change => [
+    '  <entry>',
+    `    <id>urn:leaderboard:${escapeXml(change.gameType.toLowerCase())}:${escapeXml(change.key)}:${new Date(change.date).getTime()}</id>`,
+    `    <title>${escapeXml(describeChange(change))}</title>`,
+    `    <updated>${new Date(change.date).toISOString()}</updated>`,
+    ...(base ? [`    <link href="${escapeXml(`${base}/${pageName(change.gameType)}`)}"/>`] : []),
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    '  <id>urn:leaderboard:rank-changes</id>',
+    '  <title>Leaderboard rank changes</title>',
+    `  <updated>${new Date(now).toISOString()}</updated>`,
+    '  <author><name>Leaderboard System</name></author>',
+    ...(base ? [`  <link rel="self" href="${escapeXml(`${base}/feed.xml`)}"/>`, `  <link href="${escapeXml(`${base}/`)}"/>`] : []),
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Calendar date of a moment in DISPLAY_TIMEZONE ("14 Feb 2026")
+ */
+function formatDay(time, config) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timeZone, day: 'numeric', month: 'short', year: 'numeric'
+  }).format(new Date(time));
+}
+
+/**
+ * Wrap page content in a complete HTML document with inline styles
+ */
+function renderDocument(title, accent, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<link rel="alternate" type="application/atom+xml" title="Rank changes" href="feed.xml">
+<style>
+  body { margin: 0; background: #1e1f22; color: #f2f3f5; font: 15px/1.4 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px 16px 48px; }
+  header { border-top: 6px solid ${accent}; padding-top: 16px; }
+  h1 { margin: 0 0 4px; font-size: 26px; }
+  h2 { margin: 32px 0 8px; font-size: 18px; color: ${accent}; }
+  a { color: ${accent}; }
+  .muted, th { color: #a3a9b2; }
+  table { width: 100%; border-collapse: collapse; }
+  th { text-align: left; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; padding: 6px 8px; }
+  td { padding: 8px; border-top: 1px solid #2b2d31; }
+  td.position { width: 3em; font-weight: bold; }
+  tr.stale { opacity: 0.55; }
+  ul { padding-left: 20px; }
+  @media (max-width: 600px) { .peak { display: none; } }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the self-contained page for one exported game
+ */
+export function renderGamePage(gameExport, options = {}) {
+  const { now = Date.now(), dateConfig = loadDateConfig() } = options;
+  const game = getGame(gameExport.key);
+  const accent = `#${(game.color ?? DEFAULT_COLOR).toString(16).padStart(6, '0')}`;
+
+  const row = player => `<tr${player.activity === 'stale' ? ' class="stale"' : ''}>
+  <td class="position">${player.position}</td>
+  <td>${escapeXml(player.name)}${player.verified ? ' ✔' : ''}</td>
+  <td>${escapeXml(player.rank?.display || 'Unknown')}${player.value !== null ? ` <span class="muted">${player.value} ${escapeXml(gameExport.valueLabel)}</span>` : ''}</td>
+  <td class="peak">${player.peak ? escapeXml(player.peak.rank.display) : ''}</td>
+  <td><time datetime="${escapeXml(player.lastUpdated)}">${formatDay(player.lastUpdated, dateConfig)}</time></td>
+</tr>`;
+
+  const table = players => `<table>
+<thead><tr><th>#</th><th>Player</th><th>Rank</th><th class="peak">Peak</th><th>Updated</th></tr></thead>
+<tbody>
+${players.map(row).join('\n')}
+</tbody>
+</table>`;
+
+  // Players are in board order, so each section is one run of entries
+  const sections = [];
+  for (const player of gameExport.players) {
+    const current = sections[sections.length - 1];
+    if (current && current.section === player.section) {
+      current.players.push(player);
+    } else {
+      sections.push({ section: player.section, players: [player] });
+    }
+  }
+  const tables = gameExport.players.length === 0
+    ? '<p class="muted">No players yet.</p>'
+    : sections.map(({ section, players }) => `${section ? `<h2>${escapeXml(section)}</h2>\n` : ''}${table(players)}`).join('\n');
+
+  return renderDocument(`${gameExport.name} Leaderboard`, accent, `<header>
+<h1>${escapeXml(gameExport.name)} Leaderboard${gameExport.season ? ` — ${escapeXml(gameExport.season)}` : ''}</h1>
+<p class="muted">${new Set(gameExport.players.map(p => p.userId)).size} players · Updated ${escapeXml(formatTimestamp(now, dateConfig))} · <a href="index.html">All games</a> · <a href="feed.xml">Feed</a></p>
+</header>
+${tables}`);
+}
+
+/**
+ * Render the index page: a link per game and the latest rank changes
+ */
+export function renderIndexPage(data, changes, options = {}) {
+  const { now = Date.now(), dateConfig = loadDateConfig() } = options;
+
+  const games = data.games.map(gameExport =>
+    `<li><a href="${gameExport.page}">${escapeXml(gameExport.name)}</a> <span class="muted">${new Set(gameExport.players.map(p => p.userId)).size} players</span></li>`);
+  const recent = changes.slice(0, 10).map(change =>
+    `<li>${escapeXml(describeChange(change))} <span class="muted">${formatDay(change.date, dateConfig)}</span></li>`);
+
+  return renderDocument('Leaderboards', '#5865f2', `<header>
+<h1>Leaderboards</h1>
+<p class="muted">Updated ${escapeXml(formatTimestamp(now, dateConfig))} · <a href="leaderboard.json">JSON</a> · <a href="feed.xml">Feed</a></p>
+</header>
+<h2>Games</h2>
+<ul>
+${games.join('\n')}
+</ul>
+${recent.length > 0 ? `<h2>Recent rank changes</h2>\n<ul>\n${recent.join('\n')}\n</ul>` : ''}`);
+}
+
+/**
+ * Write every export file to `dir`; returns the written file names
+ */
+export async function writeExport(dir, boards, options = {}) {
+  const { names = new Map(), siteUrl = null, now = Date.now() } = options;
+  const data = buildExport(boards, { names, now });
+  const changes = collectRankChanges(boards, names);
+
+  const files = {
+    'leaderboard.json': `${JSON.stringify(data, null, 2)}\n`,
+    'feed.xml': renderFeed(changes, { siteUrl, now }),
+    'index.html': renderIndexPage(data, changes, { now }),
+    ...Object.fromEntries(data.games.map(gameExport => [gameExport.page, renderGamePage(gameExport, { now })]))
+  };
+
+  await mkdir(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(path.join(dir, name), content);
+  }
+
+  return Object.keys(files);
+}
+
+export default {
+  EXPORT_SCHEMA_VERSION,
+  exportBoard,
+  buildExport,
+  collectRankChanges,
+  renderFeed,
+  renderGamePage,
+  renderIndexPage,
+  writeExport
+};
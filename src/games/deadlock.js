@@ -0,0 +1,114 @@
+/**
+ * Deadlock Game Definition
+ * Format: LB_UPDATE_DL: @PlayerName hero_name Rank_current current_value [rank_peak peak_value] [date]
+ * Example: LB_UPDATE_DL: @Player Haze Archon 4 1200 2026-02-14
+ */
+
+export default {
+  key: 'DEADLOCK',
+  name: 'Deadlock',
+  code: 'DL',
+  prefix: 'LB_UPDATE_DL',
+  valueLabel: 'MMR',
+  example: 'LB_UPDATE_DL: @Player Haze Archon 4 1200 2026-02-14',
+
+  // Embed colour in RENDER_MODE=embed
+  color: 0xC8A165,
+
+  ranks: [
+    'Initiate', 'Seeker', 'Alchemist', 'Arcanist', 'Ritualist',
+    'Emissary', 'Archon', 'Oracle', 'Phantom Ascendant', 'Eternus'
+  ],
+
+  // 6 tiers per rank: 1 → 2 → 3 → 4 → 5 → 6
+  tiers: { count: 6, best: 'highest' },
+
+  emojis: {
+    'Initiate': '🔰',
+    'Seeker': '🔍',
+    'Alchemist': '⚗️',
+    'Arcanist': '🔮',
+    'Ritualist': '📿',
+    'Emissary': '💼',
+    'Archon': '👤',
+    'Oracle': '🧙',
+    'Phantom Ascendant': '👻',
+    'Eternus': '♾️'
+  },
+
+  // Loose MMR range per rank for anomaly detection: neighbouring bands overlap,
+  // so only values far off the rank (a typo, an extra digit) are flagged
+  valueBands: {
+    'Initiate': [0, 1500],
+    'Seeker': [0, 1500],
+    'Alchemist': [0, 2000],
+    'Arcanist': [0, 2000],
+    'Ritualist': [500, 2500],
+    'Emissary': [500, 2500],
+    'Archon': [500, 3000],
+    'Oracle': [500, 3000],
+    'Phantom Ascendant': [1000, 3500],
+    'Eternus': [1000, 4000]
+  },
+
+  // Badge colours on the leaderboard card
+  rankColors: {
+    'Initiate': '#8C8C8C',
+    'Seeker': '#A5673F',
+    'Alchemist': '#6FAF5F',
+    'Arcanist': '#4FA3C7',
+    'Ritualist': '#7A6FD1',
+    'Emissary': '#C94FD6',
+    'Archon': '#D94F6F',
+    'Oracle': '#E07B39',
+    'Phantom Ascendant': '#E6B33C',
+    'Eternus': '#F2D16B'
+  },
+
+  fields: [
+    {
+      name: 'heroName',
+      type: 'text',
+      label: 'hero name',
+      values: [
+        'Abrams', 'Bebop', 'Billy', 'Calico', 'Doorman', 'Drifter', 'Dynamo', 'Grey Talon',
+        'Haze', 'Holliday', 'Infernus', 'Ivy', 'Kelvin', 'Lady Geist', 'Lash', 'McGinnis',
+        'Mina', 'Mirage', 'Mo & Krill', 'Paige', 'Paradox', 'Pocket', 'Seven', 'Shiv',
+        'Sinclair', 'Victor', 'Vindicta', 'Viscous', 'Vyper', 'Warden', 'Wraith', 'Yamato'
+      ],
+      aliases: {
+        'the doorman': 'Doorman', talon: 'Grey Talon', greytalon: 'Grey Talon',
+        geist: 'Lady Geist', ladygeist: 'Lady Geist', mo: 'Mo & Krill', krill: 'Mo & Krill',
+        'mo and krill': 'Mo & Krill', 'mo&krill': 'Mo & Krill', ginnis: 'McGinnis'
+      }
+    },
+    { name: 'currentRank', type: 'rank', label: 'current rank' },
+    { name: 'currentValue', type: 'value', label: 'current value' },
+    // The peak is tracked from submissions; a typed peak can only raise it
+    { name: 'peakRank', type: 'rank', label: 'peak rank', optional: true },
+    { name: 'peakValue', type: 'value', label: 'peak value', optional: true },
+    { name: 'lastUpdated', type: 'date', label: 'date' }
+  ],
+
+  // rank_current → current_value (lower better) → date
+  sortKeys: [
+    { field: 'currentRank' },
+    { field: 'currentValue', order: 'asc' },
+    { field: 'lastUpdated' }
+  ],
+
+  // One entry per player and hero, with a sub-board for each
+  sectionField: 'heroName',
+  sectionLabel: 'hero',
+
+  storage: ['userId', 'heroName', 'currentRank', 'currentValue', 'peakRank', 'peakValue', 'lastUpdated'],
+
+  // Column order of [DATA:v1] blocks, written before peaks were stored
+  v1Storage: ['userId', 'heroName', 'currentRank', 'currentValue', 'lastUpdated'],
+
+  display: [
+    { field: 'heroName' },
+    { field: 'currentRank', value: 'currentValue', unit: true },
+    { field: 'peakRank', value: 'peakValue', label: 'Peak' }
+  ]
+};
@@ -0,0 +1,207 @@
+/**
+ * Game Registry Module
+ * Loads every game definition in this directory and exposes lookups.
+ * Adding a game means dropping a new definition file (.js or .json) here.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+import { validateSeasons } from '../seasons.js';
+import { validateTiers } from '../ranks.js';
+
+const FIELD_TYPES = ['text', 'rank', 'value', 'date'];
+
+// Events a definition can set announcement templates for (see announcements.js)
+export const ANNOUNCEMENT_EVENTS = ['milestone', 'newLeader', 'rankUp', 'overtake'];
+const REQUIRED_KEYS = ['key', 'name', 'code', 'prefix', 'valueLabel', 'ranks', 'tiers', 'fields', 'sortKeys', 'storage'];
+
+const games = new Map();
+
+/**
+ * Validate a game definition before it is registered
+ */
+function validateDefinition(definition) {
+  const missing = REQUIRED_KEYS.filter(key => definition[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Game definition ${definition.key || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  const fieldNames = new Set(['userId']);
+  for (const field of definition.fields) {
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Game ${definition.key}: unknown field type "${field.type}" for ${field.name}`);
+    }
+    if (field.optional && !['rank', 'value'].includes(field.type)) {
+      throw new Error(`Game ${definition.key}: only rank and value fields can be optional (${field.name})`);
+    }
+    if (field.values && (field.type !== 'text' || !Array.isArray(field.values) || field.values.length === 0)) {
+      throw new Error(`Game ${definition.key}: values must be a non-empty list on a text field (${field.name})`);
+    }
+    const badAliases = Object.entries(field.aliases || {}).filter(([, value]) => !field.values?.includes(value));
+    if (badAliases.length > 0) {
+      throw new Error(`Game ${definition.key}: aliases of ${field.name} point to unknown values: ${badAliases.map(([alias]) => alias).join(', ')}`);
+    }
+    fieldNames.add(field.name);
+  }
+
+  const dateFields = definition.fields.filter(f => f.type === 'date');
+  if (dateFields.length !== 1 || definition.fields[definition.fields.length - 1] !== dateFields[0]) {
+    throw new Error(`Game ${definition.key}: exactly one date field is required and it must come last`);
+  }
+
+  const unknown = [
+    ...definition.sortKeys.map(k => k.field),
+    ...definition.storage,
+    ...(definition.v1Storage || []),
+    ...(definition.display || []).flatMap(d => [d.field, d.value].filter(Boolean))
+  ].filter(name => !fieldNames.has(name));
+
+  if (unknown.length > 0) {
+    throw new Error(`Game ${definition.key}: references unknown fields: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  const unknownBands = Object.keys(definition.valueBands || {}).filter(rank => !definition.ranks.includes(rank));
+  if (unknownBands.length > 0) {
+    throw new Error(`Game ${definition.key}: value bands for unknown ranks: ${unknownBands.join(', ')}`);
+  }
+
+  const unknownColors = Object.keys(definition.rankColors || {}).filter(rank => !definition.ranks.includes(rank));
+  if (unknownColors.length > 0) {
+    throw new Error(`Game ${definition.key}: rank colours for unknown ranks: ${unknownColors.join(', ')}`);
+  }
+
+  const templates = definition.announcements?.templates || {};
+  const badTemplates = Object.keys(templates).filter(event => !ANNOUNCEMENT_EVENTS.includes(event) || typeof templates[event] !== 'string');
+  if (badTemplates.length > 0) {
+    throw new Error(`Game ${definition.key}: announcement templates must be strings for ${ANNOUNCEMENT_EVENTS.join(', ')} (got: ${badTemplates.join(', ')})`);
+  }
+
+  const unknownMilestones = (definition.announcements?.milestoneRanks || []).filter(rank => !definition.ranks.includes(rank));
+  if (unknownMilestones.length > 0) {
+    throw new Error(`Game ${definition.key}: milestone ranks are not on the ladder: ${unknownMilestones.join(', ')}`);
+  }
+
+  const section = definition.sectionField && definition.fields.find(f => f.name === definition.sectionField);
+  if (definition.sectionField && section?.type !== 'text') {
+    throw new Error(`Game ${definition.key}: sectionField must name a text field (${definition.sectionField})`);
+  }
+
+  if (definition.color !== undefined && !(Number.isInteger(definition.color) && definition.color >= 0 && definition.color <= 0xffffff)) {
+    throw new Error(`Game ${definition.key}: color must be an RGB number like 0xF99E1A`);
+  }
+
+  validateTiers(definition);
+  validateSeasons(definition.key, definition.seasons || []);
+}
+
+/**
+ * Register a game definition
+ */
+export function registerGame(definition) {
+  validateDefinition(definition);
+
+  if (games.has(definition.key)) {
+    throw new Error(`Game ${definition.key} is already registered`);
+  }
+
+  games.set(definition.key, {
+    emojis: {},
+    display: [],
+    valueBands: {},
+    rankTiers: {},
+    rankColors: {},
+    announcements: {},
+    seasons: [],
+    ...definition
+  });
+}
+
+/**
+ * Get a game definition by key (e.g. 'OVERWATCH')
+ */
+export function getGame(gameType) {
+  return games.get(gameType) || null;
+}
+
+/**
+ * Get all registered game definitions
+ */
+export function getAllGames() {
+  return [...games.values()];
+}
+
+/**
+ * Get the fields that describe a player's current standing
+ * (the first rank field and the first value field of the definition)
+ */
+export function getStandingFields(game) {
+  return {
+    rank: game.fields.find(f => f.type === 'rank')?.name || null,
+    value: game.fields.find(f => f.type === 'value')?.name || null
+  };
+}
+
+/**
+ * Get the fields that describe a player's best standing
+ * (the second rank field and the second value field, or null when the
+ * game does not record a peak)
+ */
+export function getPeakFields(game) {
+  return {
+    rank: game.fields.filter(f => f.type === 'rank')[1]?.name || null,
+    value: game.fields.filter(f => f.type === 'value')[1]?.name || null
+  };
+}
+
+/**
+ * Get the key that identifies a player's entry on a board
+ * Games with a sectionField (role, hero, ...) keep one entry per user and
+ * section, so the key is the user ID plus the section in lower case.
+ */
+export function getPlayerKey(player, game) {
+  if (!game?.sectionField) return player.userId;
+  return `${player.userId}:${String(player[game.sectionField] ?? '').toLowerCase()}`;
+}
+
+/**
+ * Find the game whose command prefix appears in a message
+ */
+export function findGameByMessage(messageContent) {
+  if (!messageContent) return null;
+  return getAllGames().find(game => messageContent.includes(`${game.prefix}:`)) || null;
+}
+
+/**
+ * Load built-in definitions from this directory
+ */
+async function loadDefinitions() {
+  const dir = path.dirname(fileURLToPath(import.meta.url));
+  const files = readdirSync(dir)
+    .filter(file => file !== 'index.js' && (file.endsWith('.js') || file.endsWith('.json')))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+
+    if (file.endsWith('.json')) {
+      registerGame(JSON.parse(readFileSync(filePath, 'utf8')));
+    } else {
+      const module = await import(pathToFileURL(filePath).href);
+      registerGame(module.default);
+    }
+  }
+}
+
+await loadDefinitions();
+
+export default {
+  ANNOUNCEMENT_EVENTS,
+  registerGame,
+  getGame,
+  getAllGames,
+  getStandingFields,
+  getPeakFields,
+  getPlayerKey,
+  findGameByMessage
+};
@@ -0,0 +1,110 @@
+/**
+ * Marvel Rivals Game Definition
+ * Format: LB_UPDATE_MR: @PlayerName role Rank_current current_value [rank_peak peak_value] [date]
+ * Example: LB_UPDATE_MR: @Turbo Duelist Diamond 2 2450 Master 1 2610 2026-02-14
+ */
+
+export default {
+  key: 'MARVEL_RIVALS',
+  name: 'Marvel Rivals',
+  code: 'MR',
+  prefix: 'LB_UPDATE_MR',
+  valueLabel: 'RR',
+  example: 'LB_UPDATE_MR: @Turbo Duelist Diamond 2 2450 Grandmaster 1 2610 2026-02-14',
+
+  // Embed colour in RENDER_MODE=embed
+  color: 0xE62429,
+
+  ranks: [
+    'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond',
+    'Grandmaster', 'Celestial', 'Eternity', 'One Above All'
+  ],
+
+  // 3 tiers per rank: 3 → 2 → 1
+  tiers: { count: 3, best: 'lowest' },
+
+  // The top two ranks have no tiers
+  rankTiers: {
+    'Eternity': { count: 0 },
+    'One Above All': { count: 0 }
+  },
+
+  emojis: {
+    'Bronze': '🟫',
+    'Silver': '⚪',
+    'Gold': '🟡',
+    'Platinum': '🔵',
+    'Diamond': '💎',
+    'Grandmaster': '👑',
+    'Celestial': '✨',
+    'Eternity': '♾️',
+    'One Above All': '🌟'
+  },
+
+  // Loose RR range per rank for anomaly detection: neighbouring bands overlap,
+  // so only values far off the rank (a typo, an extra digit) are flagged
+  valueBands: {
+    'Bronze': [0, 2000],
+    'Silver': [0, 2500],
+    'Gold': [500, 3000],
+    'Platinum': [1000, 3500],
+    'Diamond': [1500, 4000],
+    'Grandmaster': [2000, 4500],
+    'Celestial': [2500, 5000],
+    'Eternity': [3000, 6000],
+    'One Above All': [3000, 6000]
+  },
+
+  // Badge colours on the leaderboard card
+  rankColors: {
+    'Bronze': '#A5673F',
+    'Silver': '#B8BEC6',
+    'Gold': '#E6B33C',
+    'Platinum': '#4FA3C7',
+    'Diamond': '#6FC3F0',
+    'Grandmaster': '#A77BDB',
+    'Celestial': '#F0A35E',
+    'Eternity': '#C94FD6',
+    'One Above All': '#F2D16B'
+  },
+
+  fields: [
+    {
+      name: 'role',
+      type: 'text',
+      label: 'role',
+      values: ['Vanguard', 'Duelist', 'Strategist'],
+      aliases: {
+        tank: 'Vanguard', van: 'Vanguard',
+        dps: 'Duelist', damage: 'Duelist', dmg: 'Duelist',
+        support: 'Strategist', healer: 'Strategist', strat: 'Strategist'
+      }
+    },
+    { name: 'currentRank', type: 'rank', label: 'current rank' },
+    { name: 'currentValue', type: 'value', label: 'current value' },
+    // The peak is tracked from submissions; a typed peak can only raise it
+    { name: 'peakRank', type: 'rank', label: 'peak rank', optional: true },
+    { name: 'peakValue', type: 'value', label: 'peak value', optional: true },
+    { name: 'lastUpdated', type: 'date', label: 'date' }
+  ],
+
+  // rank_current → current_value (lower better) → rank_peak → peak_value → date
+  sortKeys: [
+    { field: 'currentRank' },
+    { field: 'currentValue', order: 'asc' },
+    { field: 'peakRank' },
+    { field: 'peakValue', order: 'asc' },
+    { field: 'lastUpdated' }
+  ],
+
+  // One entry per player and role, with a sub-board for each
+  sectionField: 'role',
+
+  storage: ['userId', 'role', 'currentRank', 'currentValue', 'peakRank', 'peakValue', 'lastUpdated'],
+
+  display: [
+    { field: 'role' },
+    { field: 'currentRank', value: 'currentValue', unit: true },
+    { field: 'peakRank', value: 'peakValue', label: 'Peak' }
+  ]
+};
@@ -0,0 +1,105 @@
+/**
+ * Overwatch Game Definition
+ * Format: LB_UPDATE_OW: @PlayerName role Rank_current current_value [rank_peak peak_value] [date]
+ * Example: LB_UPDATE_OW: @Alpha Tank Diamond 3 3200 Master 2 3400 2026-02-14
+ */
+
+export default {
+  key: 'OVERWATCH',
+  name: 'Overwatch',
+  code: 'OW',
+  prefix: 'LB_UPDATE_OW',
+  valueLabel: 'SR',
+  example: 'LB_UPDATE_OW: @Alpha Tank Diamond 3 3200 Master 2 3400 2026-02-14',
+
+  // Embed colour in RENDER_MODE=embed
+  color: 0xF99E1A,
+
+  ranks: [
+    'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond',
+    'Master', 'Grandmaster', 'Champion', 'Top 500'
+  ],
+
+  // 5 tiers per rank: 5 → 4 → 3 → 2 → 1
+  tiers: { count: 5, best: 'lowest' },
+
+  // Top 500 players give their leaderboard placement instead (#1 is best)
+  rankTiers: {
+    'Top 500': { placement: 500 }
+  },
+
+  emojis: {
+    'Bronze': '🟫',
+    'Silver': '⚪',
+    'Gold': '🟡',
+    'Platinum': '🔵',
+    'Diamond': '💎',
+    'Master': '🎖️',
+    'Grandmaster': '👑',
+    'Champion': '🏆',
+    'Top 500': '⭐'
+  },
+
+  // Loose SR range per rank for anomaly detection: neighbouring bands overlap,
+  // so only values far off the rank (a typo, an extra digit) are flagged
+  valueBands: {
+    'Bronze': [0, 2000],
+    'Silver': [500, 2500],
+    'Gold': [1000, 3000],
+    'Platinum': [1500, 3500],
+    'Diamond': [2000, 4000],
+    'Master': [2500, 4500],
+    'Grandmaster': [3000, 5000],
+    'Champion': [3500, 5000],
+    'Top 500': [3500, 5000]
+  },
+
+  // Badge colours on the leaderboard card
+  rankColors: {
+    'Bronze': '#A5673F',
+    'Silver': '#B8BEC6',
+    'Gold': '#E6B33C',
+    'Platinum': '#4FA3C7',
+    'Diamond': '#6FC3F0',
+    'Master': '#E07B39',
+    'Grandmaster': '#A77BDB',
+    'Champion': '#D94F6F',
+    'Top 500': '#F2D16B'
+  },
+
+  fields: [
+    {
+      name: 'role',
+      type: 'text',
+      label: 'role',
+      values: ['Tank', 'Damage', 'Support'],
+      aliases: { dps: 'Damage', dmg: 'Damage', sup: 'Support', supp: 'Support', healer: 'Support', heals: 'Support' }
+    },
+    { name: 'currentRank', type: 'rank', label: 'current rank' },
+    { name: 'currentValue', type: 'value', label: 'current value' },
+    // The peak is tracked from submissions; a typed peak can only raise it
+    { name: 'peakRank', type: 'rank', label: 'peak rank', optional: true },
+    { name: 'peakValue', type: 'value', label: 'peak value', optional: true },
+    { name: 'lastUpdated', type: 'date', label: 'date' }
+  ],
+
+  // rank_current → current_value (lower better) → rank_peak → peak_value → date
+  sortKeys: [
+    { field: 'currentRank' },
+    { field: 'currentValue', order: 'asc' },
+    { field: 'peakRank' },
+    { field: 'peakValue', order: 'asc' },
+    { field: 'lastUpdated' }
+  ],
+
+  // One entry per player and role, with a sub-board for each
+  sectionField: 'role',
+
+  storage: ['userId', 'role', 'currentRank', 'currentValue', 'peakRank', 'peakValue', 'lastUpdated'],
+
+  display: [
+    { field: 'role' },
+    { field: 'currentRank', value: 'currentValue', unit: true },
+    { field: 'peakRank', value: 'peakValue', label: 'Peak' }
+  ]
+};
@@ -0,0 +1,122 @@
+/**
+ * Inactivity Module
+ * Players who stop posting updates go stale, then drop out of the ranking.
+ * They stay in storage and come back as soon as they post again.
+ *
+ * Per game (GAME_<KEY>_..., falling back to the global variable):
+ * - STALE_AFTER_DAYS:    move to the "Inactive" section (0 disables)
+ * - DROP_AFTER_DAYS:     hide from the board and the ranking (0 disables)
+ * - STALE_REMINDER_DAYS: ping the player this many days before going stale (0 disables)
+ */
+
+import { sortPlayers } from './parser.js';
+import { getGame } from './games/index.js';
+import { groupBySection } from './sections.js';
+import { DAY_MS } from './dates.js';
+
+export const ACTIVITY = ['active', 'stale', 'dropped'];
+
+/**
+ * Load a game's inactivity rules from the environment
+ */
+export function loadInactivityConfig(gameKey, env = process.env) {
+  const days = name => parseInt(env[`GAME_${gameKey}_${name}`] || env[name] || '0', 10);
+
+  const config = {
+    staleAfterDays: days('STALE_AFTER_DAYS'),
+    dropAfterDays: days('DROP_AFTER_DAYS'),
+    reminderDays: days('STALE_REMINDER_DAYS')
+  };
+
+  if (config.staleAfterDays && config.dropAfterDays && config.dropAfterDays <= config.staleAfterDays) {
+    throw new Error(`DROP_AFTER_DAYS for ${gameKey} must be longer than STALE_AFTER_DAYS`);
+  }
+  if (config.reminderDays && !config.staleAfterDays) {
+    throw new Error(`STALE_REMINDER_DAYS for ${gameKey} needs STALE_AFTER_DAYS`);
+  }
+
+  return config;
+}
+
+/**
+ * Days since a player's last update
+ */
+function daysSinceUpdate(player, now) {
+  return (now - new Date(player.lastUpdated).getTime()) / DAY_MS;
+}
+
+/**
+ * Get a player's activity: 'active', 'stale' or 'dropped'
+ */
+export function getActivity(player, config, now = Date.now()) {
+  const days = daysSinceUpdate(player, now);
+
+  if (config.dropAfterDays && days >= config.dropAfterDays) return 'dropped';
+  if (config.staleAfterDays && days >= config.staleAfterDays) return 'stale';
+  return 'active';
+}
+
+/**
+ * Sort players and group them by activity, tagging each with the `activity`
+ * it was published with
+ */
+function groupByActivity(players, gameType, config, now) {
+  const sorted = sortPlayers(players, gameType);
+
+  return Object.fromEntries(ACTIVITY.map(activity => [activity, sorted
+    .filter(player => getActivity(player, config, now) === activity)
+    .map(player => ({ ...player, activity }))]));
+}
+
+/**
+ * Order a board for publishing: active players first, then stale, each
+ * group in ranking order, and dropped players last. Sectioned games repeat
+ * the active/stale order within each section.
+ */
+export function arrangeByActivity(players, gameType, config, now = Date.now()) {
+  const { active, stale, dropped } = groupByActivity(players, gameType, config, now);
+  const sections = groupBySection([...active, ...stale], getGame(gameType));
+
+  return [...sections.flatMap(section => section.players), ...dropped];
+}
+
+/**
+ * Players that still count for the ranking (active, then stale), across
+ * all sections
+ */
+export function rankedPlayers(players, gameType, config, now = Date.now()) {
+  const { active, stale } = groupByActivity(players, gameType, config, now);
+  return [...active, ...stale];
+}
+
+/**
+ * Check whether any player's activity changed since the board was published
+ */
+export function hasActivityChanged(players, config, now = Date.now()) {
+  return players.some(player => getActivity(player, config, now) !== (player.activity || 'active'));
+}
+
+/**
+ * Players who go stale within the reminder window and were not reminded
+ * about their current entry yet
+ */
+export function getReminderDue(players, config, now = Date.now()) {
+  if (!config.reminderDays) return [];
+
+  return players.filter(player => {
+    const days = daysSinceUpdate(player, now);
+    return !player.reminded &&
+      days >= config.staleAfterDays - config.reminderDays &&
+      days < config.staleAfterDays;
+  });
+}
+
+export default {
+  ACTIVITY,
+  loadInactivityConfig,
+  getActivity,
+  arrangeByActivity,
+  rankedPlayers,
+  hasActivityChanged,
+  getReminderDue
+};
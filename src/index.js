@@ -0,0 +1,363 @@
+import LeaderboardSync from './sync.js';
+import LeaderboardCommands, { buildCommands } from './commands.js';
+import { findGameByMessage, getGame } from './games/index.js';
+import { sortPlayers } from './parser.js';
+import { reconcilePlayer } from './reconcile.js';
+import { APPROVE_EMOJI, REJECT_EMOJI } from './verification.js';
+import { hasActivityChanged } from './inactivity.js';
+
+// How often entries are checked for going stale while the bot runs
+const ACTIVITY_CHECK_MS = 60 * 60 * 1000;
+
+// Queue key for hall of fame updates, shaped like a configured game for enqueue()
+const OVERVIEW_QUEUE = { type: 'OVERVIEW', name: 'Hall of fame' };
+
+/**
+ * Gateway Mode - Long-running Leaderboard Bot
+ * Catches up every game with a full sync on startup, then applies
+ * LB_UPDATE messages as they arrive. Events received during the catch-up
+ * wait until it is done. Webhook edits are debounced per game so a burst
+ * of posts results in a single board update.
+ */
+
+class LeaderboardGateway {
+  constructor() {
+    this.sync = new LeaderboardSync();
+    this.debounceMs = parseInt(process.env.GATEWAY_DEBOUNCE_MS || '10000', 10);
+    this.publishTimers = new Map();
+    this.queues = new Map();
+    this.activityTimer = null;
+    // Events received while catching up, replayed once it is done
+    this.buffered = null;
+  }
+
+  async start() {
+    await this.sync.initialize();
+
+    // Listen before catching up, so nothing posted meanwhile is missed
+    this.buffered = [];
+    this.sync.discord.onMessageCreate(this.buffer(message => this.handleMessage(message)));
+    this.sync.discord.onMessageUpdate(this.buffer(message => this.handleMessageUpdate(message)));
+    this.sync.discord.onMessageDelete(this.buffer(message => this.handleMessageDelete(message)));
+    this.sync.discord.onReactionAdd(this.buffer(reaction => this.handleReaction(reaction)));
+
+    // Catch-up pass: anything posted while the bot was offline
+    const results = await this.sync.syncAll();
+    await this.syncBacklogs(results);
+    this.sync.printSummary(results);
+
+    const failed = results.games.filter(g => g.error).map(g => g.name);
+    if (failed.length > 0) {
+      console.warn(`⚠️  Not listening for ${failed.join(', ')} until the error is fixed and the bot restarts`);
+    }
+
+    if (process.env.DISCORD_GUILD_ID) {
+      const commands = new LeaderboardCommands(this.sync);
+      await this.sync.discord.registerGuildCommands(process.env.DISCORD_GUILD_ID, buildCommands(this.sync.games));
+      this.sync.discord.onInteraction(interaction => commands.handleInteraction(interaction));
+    }
+
+    const buffered = this.buffered;
+    this.buffered = null;
+    if (buffered.length > 0) {
+      console.log(`   Replaying ${buffered.length} event(s) received during the catch-up`);
+    }
+    for (const replay of buffered) {
+      await replay();
+    }
+
+    this.activityTimer = setInterval(() => this.refreshActivity(), ACTIVITY_CHECK_MS);
+
+    console.log('✓ Gateway mode running (Ctrl+C to stop)\n');
+  }
+
+  /**
+   * Wrap an event handler so events wait while the bot is catching up
+   */
+  buffer(handler) {
+    return event => (this.buffered ? this.buffered.push(() => handler(event)) : handler(event));
+  }
+
+  /**
+   * Keep syncing games whose catch-up stopped at MAX_MESSAGES_PER_SYNC,
+   * adding each pass to the startup results
+   */
+  async syncBacklogs(results) {
+    for (const result of results.games) {
+      const game = this.sync.games.find(g => g.name === result.name);
+
+      while (result.backlog) {
+        try {
+          const more = await this.sync.syncGame(game);
+          for (const key of ['processed', 'updated', 'failed', 'rejected', 'flagged', 'skipped']) {
+            result[key] += more[key];
+            results[`total${key[0].toUpperCase()}${key.slice(1)}`] += more[key];
+          }
+          Object.assign(result, { pending: more.pending, totalPlayers: more.totalPlayers, backlog: more.backlog });
+        } catch (error) {
+          // Live updates still fetch from the stored cursor, so the rest is caught up then
+          console.error(`\n❌ Error catching up ${game.name}:`, error.message);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the configured game for a message, ignoring our own webhook posts
+   * and games whose state failed to load at startup
+   */
+  gameForMessage(message) {
+    if (message.webhookId) return null;
+
+    const game = this.sync.games.find(g => g.channelId === message.channelId);
+    if (!game || !this.sync.states.has(game.type)) return null;
+
+    return game;
+  }
+
+  /**
+   * Run tasks for one game strictly one after another
+   */
+  enqueue(game, task) {
+    const previous = this.queues.get(game.type) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+      console.error(`✗ ${game.name}:`, error.message);
+    });
+
+    this.queues.set(game.type, next);
+    return next;
+  }
+
+  async handleMessage(message, { edited = false } = {}) {
+    const game = this.gameForMessage(message);
+    if (!game || !findGameByMessage(message.content)) return;
+
+    await this.enqueue(game, () => this.applyMessage(game, message, { edited }));
+  }
+
+  /**
+   * Find the player whose current entry came from a message
+   */
+  findSourcePlayer(game, messageId) {
+    return this.sync.states.get(game.type).players.find(p => p.sourceMessageId === messageId) || null;
+  }
+
+  /**
+   * An edit to a message behind a current entry replaces that entry;
+   * any other edited update is applied like a new submission
+   */
+  async handleMessageUpdate(message) {
+    const game = this.gameForMessage(message);
+    if (!game) return;
+
+    if (this.findSourcePlayer(game, message.id)) {
+      await this.enqueue(game, () => this.reconcileSource(game, message.id, message));
+    } else {
+      await this.handleMessage(message, { edited: true });
+    }
+  }
+
+  /**
+   * Deleting the message behind a current entry rolls it back; deleting a
+   * pending update takes it out of the verification queue
+   */
+  async handleMessageDelete(message) {
+    const game = this.gameForMessage(message);
+    if (!game) return;
+
+    if (this.isPending(game, message.id)) {
+      await this.enqueue(game, () => this.reviewPending(game, message.id));
+    } else if (this.findSourcePlayer(game, message.id)) {
+      await this.enqueue(game, () => this.reconcileSource(game, message.id, null));
+    }
+  }
+
+  isPending(game, messageId) {
+    return (this.sync.states.get(game.type).pendingIds || []).includes(messageId);
+  }
+
+  /**
+   * A ✅ or ❌ on a pending update may be a moderator's decision
+   */
+  async handleReaction(reaction) {
+    const game = this.gameForMessage(reaction.message);
+    if (!game || !this.isPending(game, reaction.message.id)) return;
+    if (![APPROVE_EMOJI, REJECT_EMOJI].includes(reaction.emoji.name)) return;
+
+    await this.enqueue(game, () => this.reviewPending(game, reaction.message.id));
+  }
+
+  async reviewPending(game, messageId) {
+    const reviewed = await this.sync.reviewPending(game, this.sync.states.get(game.type), [messageId]);
+    if (reviewed.decided === 0) return;
+
+    this.sync.states.set(game.type, reviewed.state);
+    this.schedulePublish(game);
+  }
+
+  async reconcileSource(game, messageId, message) {
+    const state = this.sync.states.get(game.type);
+    const player = this.findSourcePlayer(game, messageId);
+    if (!player) return;
+
+    const { player: reconciled, action, held } = await reconcilePlayer(
+      player,
+      getGame(game.type),
+      message,
+      id => this.sync.discord.fetchChannelMessage(game.channelId, id),
+      this.sync.reconcileOptions(game)
+    );
+
+    if (action === 'unchanged') return;
+    console.log(`↺ ${game.name}: ${action} entry for ${player.userId}`);
+
+    const players = state.players
+      .map(p => (p === player ? reconciled : p))
+      .filter(Boolean);
+    const pendingIds = await this.sync.holdEdits(game, state.pendingIds || [], held ? [held] : []);
+
+    this.sync.states.set(game.type, { ...state, players: sortPlayers(players, game.type), pendingIds });
+    this.schedulePublish(game);
+  }
+
+  /**
+   * Apply a new update together with anything between the stored cursor and
+   * it, so updates the bot never saw are not skipped. An edited older update
+   * is applied on its own and leaves the cursor where it is.
+   */
+  async applyMessage(game, message, { edited = false } = {}) {
+    // A season can end while the bot is running
+    const rolled = await this.sync.rollSeason(game, this.sync.states.get(game.type));
+    if (rolled.changed) {
+      this.sync.states.set(game.type, rolled.state);
+      this.schedulePublish(game);
+    }
+
+    let cursor = this.sync.states.get(game.type).lastProcessedMessageId;
+    const seen = cursor && BigInt(message.id) <= BigInt(cursor);
+
+    if (seen) {
+      // Already applied when an earlier update fetched from the cursor
+      if (edited) await this.applyBatch(game, [message], cursor);
+      return;
+    }
+
+    let hasMore = true;
+    while (hasMore) {
+      const fetched = await this.sync.fetchNewMessages(game, cursor);
+      if (fetched.messages.length === 0) break;
+
+      cursor = fetched.messages[fetched.messages.length - 1].id;
+      await this.applyBatch(game, fetched.messages, cursor);
+      hasMore = fetched.hasMore;
+    }
+
+    // Not fetchable yet: apply the message as received
+    if (!cursor || BigInt(message.id) > BigInt(cursor)) {
+      await this.applyBatch(game, [message], message.id);
+    }
+  }
+
+  /**
+   * Apply messages to the current state and store it with the given cursor
+   */
+  async applyBatch(game, messages, lastProcessedMessageId) {
+    const applied = await this.sync.applyMessages(game, this.sync.states.get(game.type), messages);
+    await this.sync.sendParseFeedback(game, applied.parseResults);
+
+    this.sync.states.set(game.type, { ...applied.state, lastProcessedMessageId });
+
+    // Pending updates are stored in the manifest, so they are published too
+    if (applied.updated > 0 || applied.parseResults.pending.length > 0) {
+      this.schedulePublish(game);
+    }
+  }
+
+  /**
+   * Send stale reminders and republish boards whose entries went stale
+   */
+  refreshActivity() {
+    for (const game of this.sync.games) {
+      if (!this.sync.states.has(game.type)) continue;
+
+      this.enqueue(game, async () => {
+        const reminded = await this.sync.sendStaleReminders(game, this.sync.states.get(game.type));
+        this.sync.states.set(game.type, reminded.state);
+
+        if (reminded.count > 0 || hasActivityChanged(reminded.state.players, game.inactivity)) {
+          this.schedulePublish(game);
+        }
+      });
+    }
+  }
+
+  /**
+   * Publish once no new update has arrived for debounceMs
+   */
+  schedulePublish(game) {
+    clearTimeout(this.publishTimers.get(game.type));
+
+    this.publishTimers.set(game.type, setTimeout(() => {
+      this.publishTimers.delete(game.type);
+      this.enqueue(game, async () => {
+        await this.sync.saveState(game, this.sync.states.get(game.type));
+        await this.publishOverview();
+      });
+    }, this.debounceMs));
+  }
+
+  /**
+   * Redraw the hall of fame after a board changed; boards publish on
+   * their own queues, so the overview gets one of its own
+   */
+  publishOverview() {
+    return this.enqueue(OVERVIEW_QUEUE, () => this.sync.publishOverview());
+  }
+
+  /**
+   * Publish anything still waiting on a debounce timer, then disconnect
+   */
+  async stop() {
+    clearInterval(this.activityTimer);
+
+    for (const [gameType, timer] of this.publishTimers.entries()) {
+      clearTimeout(timer);
+      const game = this.sync.games.find(g => g.type === gameType);
+      this.enqueue(game, () => this.sync.saveState(game, this.sync.states.get(game.type)));
+    }
+    this.publishTimers.clear();
+
+    await Promise.all(this.queues.values());
+    await this.publishOverview();
+    await this.sync.cleanup();
+  }
+}
+
+async function main() {
+  const gateway = new LeaderboardGateway();
+
+  const shutdown = async () => {
+    await gateway.stop();
+    process.exit(0);
+  };
+
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  try {
+    await gateway.start();
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error.message);
+    console.error(error.stack);
+
+    await gateway.sync.cleanup();
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default LeaderboardGateway;
@@ -0,0 +1,108 @@
+/**
+ * Name Matching Module
+ * Text fields with a canonical `values` list (roles, heroes) only accept
+ * those values. Matching ignores case, follows the field's `aliases`
+ * (e.g. dps → Damage) and corrects small typos; anything else is unknown.
+ */
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * letters as one edit ("Tnak" → "Tank" is 1)
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Typos allowed for a word of this length: 1, or 2 from six letters on
+ */
+function allowedTypos(text) {
+  return text.length >= 6 ? 2 : 1;
+}
+
+/**
+ * Every spelling a field accepts, as [lower-case spelling, canonical value]
+ */
+function spellings(field) {
+  return [
+    ...field.values.map(value => [value.toLowerCase(), value]),
+    ...Object.entries(field.aliases || {}).map(([alias, value]) => [alias.toLowerCase(), value])
+  ];
+}
+
+/**
+ * Resolve one piece of text to a canonical value, or null
+ * Exact spellings and aliases win; otherwise the closest spelling within
+ * the typo allowance, as long as no other value is just as close.
+ */
+export function resolveName(text, field) {
+  const candidate = text.toLowerCase();
+  const known = spellings(field);
+
+  const exact = known.find(([spelling]) => spelling === candidate);
+  if (exact) return exact[1];
+
+  const scored = known
+    .filter(([spelling]) => spelling.split(' ').length === candidate.split(' ').length)
+    .map(([spelling, value]) => ({ value, distance: editDistance(candidate, spelling) }))
+    .filter(({ distance }) => distance <= allowedTypos(candidate))
+    .sort((a, b) => a.distance - b.distance);
+
+  if (scored.length === 0) return null;
+
+  const tied = scored.filter(({ distance }) => distance === scored[0].distance);
+  return tied.every(({ value }) => value === tied[0].value) ? tied[0].value : null;
+}
+
+/**
+ * Match a value of a field starting at parts[index]
+ * Values can be several words ("Lady Geist"); the longest exact match is
+ * tried first, then the longest typo correction.
+ * Returns { value, next } or null
+ */
+export function matchName(parts, index, field) {
+  const maxWords = Math.max(...spellings(field).map(([spelling]) => spelling.split(' ').length));
+  const windows = [];
+
+  for (let words = Math.min(maxWords, parts.length - index); words > 0; words--) {
+    windows.push({ text: parts.slice(index, index + words).join(' '), next: index + words });
+  }
+
+  const exact = windows.find(({ text }) => spellings(field).some(([spelling]) => spelling === text.toLowerCase()));
+  const match = exact || windows.find(({ text }) => resolveName(text, field));
+
+  return match ? { value: resolveName(match.text, field), next: match.next } : null;
+}
+
+/**
+ * Suggest the closest value for an unknown name, or null when nothing is
+ * reasonably close
+ */
+export function suggestName(text, field) {
+  const candidate = text.toLowerCase();
+  const [best] = spellings(field)
+    .map(([spelling, value]) => ({ value, distance: editDistance(candidate, spelling) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return best && best.distance <= Math.max(3, Math.floor(candidate.length / 2)) ? best.value : null;
+}
+
+export default {
+  resolveName,
+  matchName,
+  suggestName
+};
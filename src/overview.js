@@ -0,0 +1,203 @@
+/**
+ * Hall of Fame Module
+ * An optional board across all games, posted to GAME_OVERVIEW_WEBHOOK_URL.
+ * Ranks differ per game, so each standing is turned into a percentile of
+ * its game's ladder (see getLadderPercentile): Master 2 in Overwatch and
+ * Celestial 2 in Marvel Rivals become comparable numbers.
+ *
+ * Sections:
+ * - Overall: players on at least OVERVIEW_MIN_GAMES games, by their
+ *   average percentile
+ * - Most Improved: the biggest percentile gains this week, all games summed
+ * - #1 per Game: the top of each board
+ */
+
+import { getGame, getStandingFields } from './games/index.js';
+import { getSection } from './sections.js';
+import { getLadderPercentile } from './ranks.js';
+import { MEDALS, formatRank, combinedStandings, getWeeklyBaseline, validateMessageLength } from './renderer.js';
+import { formatTimestamp } from './dates.js';
+
+// Players listed in the overall ranking, shrunk until the message fits
+const OVERALL_SIZE = 10;
+const IMPROVED_SIZE = 3;
+
+/**
+ * Load the overview settings, or null when no overview webhook is set
+ */
+export function loadOverviewConfig(env = process.env) {
+  const webhookUrl = env.GAME_OVERVIEW_WEBHOOK_URL;
+  if (!webhookUrl) return null;
+
+  const minGames = parseInt(env.OVERVIEW_MIN_GAMES || '2', 10);
+  if (!(minGames >= 1)) {
+    throw new Error('OVERVIEW_MIN_GAMES must be at least 1');
+  }
+
+  return {
+    webhookUrl,
+    messageId: env.GAME_OVERVIEW_MESSAGE_ID || null,
+    minGames
+  };
+}
+
+/**
+ * Each player's best standing per game, with its ladder percentile
+ * `boards` is [{ type, name, players }] with players as stored.
+ * Returns a Map of userId → [{ game, name, player, percentile }]
+ */
+export function collectStandings(boards) {
+  const standings = new Map();
+
+  for (const board of boards) {
+    const game = getGame(board.type);
+    const standing = getStandingFields(game);
+
+    for (const player of combinedStandings(board.players, board.type)) {
+      const percentile = getLadderPercentile(player[standing.rank], game);
+      if (percentile === null) continue;
+
+      if (!standings.has(player.userId)) standings.set(player.userId, []);
+      standings.get(player.userId).push({ game, name: board.name, player, percentile });
+    }
+  }
+
+  return standings;
+}
+
+/**
+ * Players on at least `minGames` games, best average percentile first
+ * (more games first on a tie)
+ */
+export function overallRanking(standings, minGames) {
+  return [...standings.entries()]
+    .filter(([, entries]) => entries.length >= minGames)
+    .map(([userId, entries]) => ({
+      userId,
+      entries,
+      score: entries.reduce((sum, entry) => sum + entry.percentile, 0) / entries.length
+    }))
+    .sort((a, b) => b.score - a.score || b.entries.length - a.entries.length);
+}
+
+/**
+ * Players with the biggest percentile gain this week, summed over games
+ * Each result names the game with the largest single gain.
+ */
+export function mostImproved(standings, now = Date.now(), limit = IMPROVED_SIZE) {
+  return [...standings.entries()]
+    .map(([userId, entries]) => {
+      const gains = entries
+        .map(entry => {
+          const baseline = getWeeklyBaseline(entry.player, now);
+          const before = baseline && getLadderPercentile(baseline.rank, entry.game);
+          return before === null || before === undefined
+            ? null
+            : { ...entry, baseline, gain: entry.percentile - before };
+        })
+        .filter(gain => gain && gain.gain > 0)
+        .sort((a, b) => b.gain - a.gain);
+
+      return gains.length > 0
+        ? { userId, gain: gains.reduce((sum, g) => sum + g.gain, 0), top: gains[0] }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, limit);
+}
+
+function formatPercentile(percentile) {
+  return `${Math.round(percentile)}%`;
+}
+
+/**
+ * A player's standing in one game ("OW Master 2 (Tank) 91%"), optionally
+ * without the game code
+ */
+function renderStanding(entry, withCode = true) {
+  const standing = getStandingFields(entry.game);
+  const section = entry.game.sectionField ? ` (${getSection(entry.player, entry.game)})` : '';
+  const rank = `${formatRank(entry.player[standing.rank], entry.game)}${section} ${formatPercentile(entry.percentile)}`;
+  return withCode ? `${entry.game.code} ${rank}` : rank;
+}
+
+/**
+ * Render the overview with up to `overallSize` players in the overall ranking
+ */
+function buildOverview(boards, config, overallSize, now) {
+  const standings = collectStandings(boards);
+  const overall = overallRanking(standings, config.minGames);
+  const improved = mostImproved(standings, now);
+  const output = [];
+
+  output.push('🏛️ HALL OF FAME — ALL GAMES');
+  output.push('');
+
+  output.push(`🏆 **Overall** (players on ${config.minGames}+ games, by average ladder percentile)`);
+  if (overall.length === 0) {
+    output.push('No players on enough games yet.');
+  }
+  overall.slice(0, overallSize).forEach((ranked, i) => {
+    const position = i < MEDALS.length ? MEDALS[i] : `${i + 1}.`;
+    const games = ranked.entries.map(entry => renderStanding(entry)).join('  •  ');
+    output.push(`${position} <@${ranked.userId}> ${formatPercentile(ranked.score)}  •  ${games}`);
+  });
+  output.push('');
+
+  if (improved.length > 0) {
+    output.push('🚀 **Most Improved This Week**');
+    improved.forEach(({ userId, gain, top }) => {
+      const standing = getStandingFields(top.game);
+      output.push(`   <@${userId}> +${Math.round(gain)} pts (${top.name}: ${formatRank(top.baseline.rank, top.game)} → ${formatRank(top.player[standing.rank], top.game)})`);
+    });
+    output.push('');
+  }
+
+  output.push('👑 **#1 per Game**');
+  for (const board of boards) {
+    const game = getGame(board.type);
+    const [first] = combinedStandings(board.players, board.type);
+    const entry = first && standings.get(first.userId)?.find(e => e.game === game);
+
+    output.push(entry
+      ? `   ${board.name}: <@${first.userId}> ${renderStanding(entry, false)}`
+      : `   ${board.name}: no players yet`);
+  }
+  output.push('');
+
+  output.push('━━━━━━━━━━━━━━━━━━');
+  const multiGame = [...standings.values()].filter(entries => entries.length > 1).length;
+  output.push(`📊 ${standings.size} players across ${boards.length} games, ${multiGame} on several`);
+  if (overall.length > overallSize) {
+    output.push(`(Showing top ${overallSize} of ${overall.length})`);
+  }
+  output.push(`Last Updated: ${formatTimestamp(now)}`);
+
+  return output.join('\n');
+}
+
+/**
+ * Render the hall of fame message, shortening the overall ranking until it
+ * fits in one message
+ */
+export function renderOverview(boards, config, now = Date.now(), maxLength = 1900) {
+  let size = OVERALL_SIZE;
+  let content = buildOverview(boards, config, size, now);
+
+  while (content.length > maxLength && size > 1) {
+    size--;
+    content = buildOverview(boards, config, size, now);
+  }
+
+  validateMessageLength(content);
+  return content;
+}
+
+export default {
+  loadOverviewConfig,
+  collectStandings,
+  overallRanking,
+  mostImproved,
+  renderOverview
+};
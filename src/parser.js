@@ -1,23 +1,12 @@
 /**
  * Message Parser Module
- * Parses Discord messages for Marvel Rivals, Overwatch, and Deadlock
+ * Parses Discord update messages using the registered game definitions
  */
 
-// Rank definitions for each game
-const MARVEL_RIVALS_RANKS = [
-  'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 
-  'Grandmaster', 'Celestial', 'Eternity', 'One Above All'
-];
-
-const OVERWATCH_RANKS = [
-  'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 
-  'Master', 'Grandmaster', 'Champion', 'Top 500'
-];
-
-const DEADLOCK_RANKS = [
-  'Initiate', 'Seeker', 'Alchemist', 'Arcanist', 'Ritualist',
-  'Emissary', 'Archon', 'Oracle', 'Phantom Ascendant', 'Eternus'
-];
+import { getGame, findGameByMessage } from './games/index.js';
+import { matchName, suggestName } from './names.js';
+import { parseDate } from './dates.js';
+import { getTierModel, getRankSortValue } from './ranks.js';
 
 /**
  * Extract Discord user ID from mention format
@@ -27,19 +16,6 @@ function extractUserId(mention) {
   return match ? match[1] : null;
 }
 
-/**
- * Parse flexible date formats
- */
-function parseDate(dateString) {
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return null;
-    return date.toISOString();
-  } catch {
-    return null;
-  }
-}
-
 /**
  * Sanitize input
  */
@@ -49,352 +25,257 @@ function sanitize(text) {
 }
 
 /**
- * Get rank numeric value for sorting (lower = better)
- * Format: "Diamond 2" -> {rank: 'Diamond', tier: 2}
+ * Read the tier or placement after a rank name at parts[next]
+ * A bare number only counts when another number follows it (the rank's
+ * value) and `literal` does not rule that position out; placements can also
+ * be written "#12". A bare number read as a tier is reported as `bareAt`, so
+ * the caller can retry with it read as the value instead.
+ * Returns { rank: {rank, tier}, next, bareAt? } or { error: { token, expected, reason }, bareAt? }
  */
-function parseRankWithTier(rankString, validRanks, maxTier) {
-  const parts = rankString.trim().split(/\s+/);
-  
-  // Try to match rank name (could be multi-word like "One Above All" or "Phantom Ascendant")
-  let rankName = null;
-  let tier = null;
-  
-  // Check for multi-word ranks first
-  for (let i = parts.length; i > 0; i--) {
-    const candidate = parts.slice(0, i).join(' ');
-    if (validRanks.some(r => r.toLowerCase() === candidate.toLowerCase())) {
-      rankName = validRanks.find(r => r.toLowerCase() === candidate.toLowerCase());
-      if (parts[i]) {
-        tier = parseInt(parts[i], 10);
-      }
-      break;
-    }
+function matchTier(parts, next, rankName, game, literal = new Set()) {
+  const model = getTierModel(rankName, game);
+  const token = parts[next] || '';
+  const bare = !literal.has(next) && /^\d+$/.test(token) && /^\d+$/.test(parts[next + 1] || '');
+  const given = bare || (model.kind === 'placement' && /^#\d+$/.test(token));
+
+  if (!given) {
+    return { rank: { rank: rankName, tier: model.kind === 'tiers' ? 1 : null }, next };
   }
-  
-  if (!rankName) return null;
-  
-  // Validate tier
-  if (tier && (tier < 1 || tier > maxTier)) {
-    tier = null;
+
+  const tier = parseInt(token.replace('#', ''), 10);
+  const bareAt = bare ? { bareAt: next } : {};
+
+  if (model.kind === 'none') {
+    return { error: { token, expected: 'the value right after the rank', reason: `${rankName} has no tiers` }, ...bareAt };
+  }
+  if (tier < 1 || tier > model.count) {
+    const what = model.kind === 'placement' ? 'placement' : 'tier';
+    return { error: { token, expected: `${what} 1–${model.count}`, reason: `invalid ${rankName} ${what}` }, ...bareAt };
   }
-  
-  return { rank: rankName, tier: tier || 1 };
-}
 
-/**
- * Get numeric rank value for sorting (lower number = better rank)
- */
-function getRankSortValue(rankObj, validRanks, maxTier) {
-  if (!rankObj) return 999999;
-  
-  const rankIndex = validRanks.findIndex(r => r.toLowerCase() === rankObj.rank.toLowerCase());
-  if (rankIndex === -1) return 999999;
-  
-  // Formula: (rankIndex * maxTier) + (maxTier - tier + 1)
-  // Example for Diamond 2 in Marvel Rivals (maxTier=3):
-  // (4 * 3) + (3 - 2 + 1) = 12 + 2 = 14
-  // Diamond 1 would be: (4 * 3) + (3 - 1 + 1) = 12 + 3 = 15
-  // Lower tier number = better = higher sort value (but still worse than higher ranks)
-  return (rankIndex * maxTier) + (maxTier - rankObj.tier + 1);
+  return { rank: { rank: rankName, tier }, next: next + 1, ...bareAt };
 }
 
 /**
- * Parse Marvel Rivals update
- * Format: LB_UPDATE_MR: @PlayerName role Rank_current current_value rank_peak peak_value date
- * Example: LB_UPDATE_MR: @Turbo Duelist Diamond 2 2450 Master 1 2610 2026-02-14
+ * Match a rank (and its tier or placement) starting at parts[index]
+ * Rank names can be multi-word like "One Above All" or "Phantom Ascendant".
+ * Returns { rank: {rank, tier}, next }, { error } or null
  */
-export function parseMarvelRivals(messageContent) {
-  if (!messageContent?.trim().startsWith('LB_UPDATE_MR:')) {
-    return null;
-  }
+function matchRank(parts, index, game, literal = new Set()) {
+  const maxWords = Math.max(...game.ranks.map(r => r.split(' ').length));
 
-  const content = messageContent.trim().substring('LB_UPDATE_MR:'.length).trim();
-  const parts = content.split(/\s+/);
+  for (let words = Math.min(maxWords, parts.length - index); words > 0; words--) {
+    const candidate = parts.slice(index, index + words).join(' ').toLowerCase();
+    const rankName = game.ranks.find(r => r.toLowerCase() === candidate);
 
-  if (parts.length < 7) {
-    console.warn('Invalid MR format: insufficient fields');
-    return null;
+    if (rankName) return matchTier(parts, index + words, rankName, game, literal);
   }
 
-  const mention = parts[0];
-  const userId = extractUserId(mention);
-  if (!userId) {
-    console.warn('Invalid MR format: invalid mention');
-    return null;
-  }
+  return null;
+}
 
-  const role = sanitize(parts[1]);
-  
-  // Find where current rank ends (look for number after rank)
-  let currentRankEnd = 2;
-  let currentRankParts = [parts[2]];
-  
-  // Handle multi-word ranks
-  while (currentRankEnd < parts.length && isNaN(parseInt(parts[currentRankEnd], 10))) {
-    currentRankParts.push(parts[currentRankEnd]);
-    currentRankEnd++;
-  }
-  
-  if (currentRankEnd >= parts.length) {
-    console.warn('Invalid MR format: missing current value');
-    return null;
-  }
-  
-  const currentRankString = currentRankParts.join(' ');
-  const currentRank = parseRankWithTier(currentRankString, MARVEL_RIVALS_RANKS, 3);
-  if (!currentRank) {
-    console.warn('Invalid MR format: invalid current rank');
-    return null;
-  }
-  
-  const currentValue = parseInt(parts[currentRankEnd], 10);
-  if (isNaN(currentValue) || currentValue < 0) {
-    console.warn('Invalid MR format: invalid current value');
-    return null;
-  }
-  
-  // Parse peak rank
-  let peakRankStart = currentRankEnd + 1;
-  let peakRankParts = [parts[peakRankStart]];
-  let peakRankEnd = peakRankStart + 1;
-  
-  while (peakRankEnd < parts.length && isNaN(parseInt(parts[peakRankEnd], 10))) {
-    peakRankParts.push(parts[peakRankEnd]);
-    peakRankEnd++;
-  }
-  
-  if (peakRankEnd >= parts.length) {
-    console.warn('Invalid MR format: missing peak value');
-    return null;
-  }
-  
-  const peakRankString = peakRankParts.join(' ');
-  const peakRank = parseRankWithTier(peakRankString, MARVEL_RIVALS_RANKS, 3);
-  if (!peakRank) {
-    console.warn('Invalid MR format: invalid peak rank');
-    return null;
-  }
-  
-  const peakValue = parseInt(parts[peakRankEnd], 10);
-  if (isNaN(peakValue) || peakValue < 0) {
-    console.warn('Invalid MR format: invalid peak value');
-    return null;
-  }
-  
-  // Everything else is the date
-  const dateString = parts.slice(peakRankEnd + 1).join(' ');
-  const parsedDate = parseDate(dateString);
-  if (!parsedDate) {
-    console.warn('Invalid MR format: invalid date');
-    return null;
-  }
+/**
+ * Describe what a field accepts, for error messages
+ */
+function describeExpected(field, game) {
+  if (field.type === 'rank') return game.ranks;
+  if (field.type === 'value') return 'a whole number (0 or more)';
+  if (field.type === 'date') return 'a date like 2026-02-14, 14/02, yesterday or 3 days ago';
+  if (field.values) return field.values;
+  return 'a single word';
+}
 
+/**
+ * Build a parse error
+ */
+function parseError(game, field, token, expected, reason = null) {
   return {
-    game: 'MARVEL_RIVALS',
-    userId,
-    role,
-    currentRank,
-    currentValue,
-    peakRank,
-    peakValue,
-    lastUpdated: parsedDate,
-    rawMention: mention
+    game: game.key,
+    field,
+    token,
+    expected,
+    reason: reason || (token === null ? `missing ${field}` : `invalid ${field}`)
   };
 }
 
 /**
- * Parse Overwatch update
- * Format: LB_UPDATE_OW: @PlayerName role Rank_current (value) rank_peak value date
- * Example: LB_UPDATE_OW: @Alpha Tank Diamond 3 3200 Master 2 3400 2026-02-14
+ * Get the message format of a game, e.g.
+ * "LB_UPDATE_DL: @you <hero name> <current rank> <tier> <current value> <date>"
  */
-export function parseOverwatch(messageContent) {
-  if (!messageContent?.trim().startsWith('LB_UPDATE_OW:')) {
+export function describeFormat(game) {
+  const fields = game.fields.map(field => {
+    const text = field.type === 'rank' ? `<${field.label}> <tier>` : `<${field.label}>`;
+    return field.optional || field.type === 'date' ? `[${text}]` : text;
+  });
+
+  return `${game.prefix}: @you ${fields.join(' ')}`;
+}
+
+/**
+ * Validate an update message for a game definition
+ * Fields are read in the order the definition declares them; the date takes
+ * every remaining token and defaults to `options.timestamp` (the message's
+ * creation time) when left out. An optional rank that is not there is
+ * skipped along with the optional fields right after it.
+ * Text fields with canonical `values` accept them, their aliases and small
+ * typos (see names.js); unknown names come with a `suggestion` when one is close.
+ * Returns null when the message is not an update for this game, otherwise
+ * { data } or { error: { field, token, expected, reason, suggestion? } }
+ */
+export function validateUpdate(messageContent, game, options = {}) {
+  const {
+    timestamp = Date.now()
+  } = options;
+
+  const marker = `${game.prefix}:`;
+
+  if (!messageContent?.trim().startsWith(marker)) {
     return null;
   }
 
-  const content = messageContent.trim().substring('LB_UPDATE_OW:'.length).trim();
-  const parts = content.split(/\s+/);
+  const content = messageContent.trim().substring(marker.length).trim();
+  const parts = content ? content.split(/\s+/) : [];
 
-  if (parts.length < 7) {
-    console.warn('Invalid OW format: insufficient fields');
-    return null;
+  const minParts = 1 + game.fields.filter(f => !f.optional && f.type !== 'date').length;
+  if (parts.length < minParts) {
+    const expected = `a mention followed by ${game.fields.map(f => f.label).join(', ')}`;
+    return { error: parseError(game, 'fields', content || null, expected, 'insufficient fields') };
   }
 
   const mention = parts[0];
   const userId = extractUserId(mention);
   if (!userId) {
-    console.warn('Invalid OW format: invalid mention');
-    return null;
+    return { error: parseError(game, 'mention', mention, 'a mention like @PlayerName') };
   }
 
-  const role = sanitize(parts[1]);
-  
-  // Parse current rank
-  let currentRankEnd = 2;
-  let currentRankParts = [parts[2]];
-  
-  while (currentRankEnd < parts.length && isNaN(parseInt(parts[currentRankEnd], 10))) {
-    currentRankParts.push(parts[currentRankEnd]);
-    currentRankEnd++;
-  }
-  
-  if (currentRankEnd >= parts.length) {
-    console.warn('Invalid OW format: missing current value');
-    return null;
-  }
-  
-  const currentRankString = currentRankParts.join(' ');
-  const currentRank = parseRankWithTier(currentRankString, OVERWATCH_RANKS, 5);
-  if (!currentRank) {
-    console.warn('Invalid OW format: invalid current rank');
-    return null;
-  }
-  
-  const currentValue = parseInt(parts[currentRankEnd], 10);
-  if (isNaN(currentValue) || currentValue < 0) {
-    console.warn('Invalid OW format: invalid current value');
-    return null;
-  }
-  
-  // Parse peak rank
-  let peakRankStart = currentRankEnd + 1;
-  let peakRankParts = [parts[peakRankStart]];
-  let peakRankEnd = peakRankStart + 1;
-  
-  while (peakRankEnd < parts.length && isNaN(parseInt(parts[peakRankEnd], 10))) {
-    peakRankParts.push(parts[peakRankEnd]);
-    peakRankEnd++;
-  }
-  
-  if (peakRankEnd >= parts.length) {
-    console.warn('Invalid OW format: missing peak value');
-    return null;
-  }
-  
-  const peakRankString = peakRankParts.join(' ');
-  const peakRank = parseRankWithTier(peakRankString, OVERWATCH_RANKS, 5);
-  if (!peakRank) {
-    console.warn('Invalid OW format: invalid peak rank');
-    return null;
-  }
-  
-  const peakValue = parseInt(parts[peakRankEnd], 10);
-  if (isNaN(peakValue) || peakValue < 0) {
-    console.warn('Invalid OW format: invalid peak value');
-    return null;
+  // "Diamond 3200 3 days ago": 3200 looks like a tier because a number
+  // follows it. When the tier reading fails, read such numbers as values,
+  // the one closest to the failure first; the first reading's error stands
+  // if no other reading parses.
+  const literal = new Set();
+  const first = readFields(parts, game, timestamp, literal);
+  let attempt = first;
+
+  while (attempt.error && attempt.bareTiers.some(at => !literal.has(at))) {
+    literal.add(attempt.bareTiers.filter(at => !literal.has(at)).pop());
+    attempt = readFields(parts, game, timestamp, literal);
   }
-  
-  const dateString = parts.slice(peakRankEnd + 1).join(' ');
-  const parsedDate = parseDate(dateString);
-  if (!parsedDate) {
-    console.warn('Invalid OW format: invalid date');
-    return null;
+
+  if (attempt.error) {
+    return { error: first.error };
   }
 
-  return {
-    game: 'OVERWATCH',
-    userId,
-    role,
-    currentRank,
-    currentValue,
-    peakRank,
-    peakValue,
-    lastUpdated: parsedDate,
-    rawMention: mention
-  };
+  attempt.data.rawMention = mention;
+  return { data: attempt.data };
 }
 
 /**
- * Parse Deadlock update
- * Format: LB_UPDATE_DL: @PlayerName hero_name Rank_current current_value date
- * Example: LB_UPDATE_DL: @Player Haze Archon 4 1200 2026-02-14
+ * Read the fields after the mention in definition order
+ * `literal` holds positions where a bare number is not read as a tier.
+ * Returns { data, bareTiers } or { error, bareTiers }, where `bareTiers`
+ * lists the positions of bare numbers that were read as tiers
  */
-export function parseDeadlock(messageContent) {
-  if (!messageContent?.trim().startsWith('LB_UPDATE_DL:')) {
-    return null;
-  }
+function readFields(parts, game, timestamp, literal) {
+  const result = { game: game.key, userId: extractUserId(parts[0]) };
+  const bareTiers = [];
+  const fail = error => ({ error, bareTiers });
+  let index = 1;
+  let skipping = false;
+
+  for (const field of game.fields) {
+    if (field.optional && skipping) continue;
+    skipping = false;
+
+    if (field.optional && field.type === 'rank' && !matchRank(parts, index, game, literal)) {
+      skipping = true;
+      continue;
+    }
 
-  const content = messageContent.trim().substring('LB_UPDATE_DL:'.length).trim();
-  const parts = content.split(/\s+/);
+    if (index >= parts.length && field.type === 'date') {
+      result[field.name] = new Date(timestamp).toISOString();
+      continue;
+    }
 
-  if (parts.length < 5) {
-    console.warn('Invalid DL format: insufficient fields');
-    return null;
-  }
+    if (index >= parts.length) {
+      return fail(parseError(game, field.label, null, describeExpected(field, game)));
+    }
 
-  const mention = parts[0];
-  const userId = extractUserId(mention);
-  if (!userId) {
-    console.warn('Invalid DL format: invalid mention');
-    return null;
+    if (field.type === 'text' && field.values) {
+      const matched = matchName(parts, index, field);
+      if (!matched) {
+        const error = parseError(game, field.label, parts[index], describeExpected(field, game), `unknown ${field.label}`);
+        return fail({ ...error, suggestion: suggestName(parts[index], field) });
+      }
+      result[field.name] = matched.value;
+      index = matched.next;
+    } else if (field.type === 'text') {
+      result[field.name] = sanitize(parts[index]);
+      index++;
+    } else if (field.type === 'rank') {
+      const matched = matchRank(parts, index, game, literal);
+      if (matched?.bareAt !== undefined) {
+        bareTiers.push(matched.bareAt);
+      }
+      if (!matched) {
+        return fail(parseError(game, field.label, parts[index], describeExpected(field, game)));
+      }
+      if (matched.error) {
+        const { token, expected, reason } = matched.error;
+        return fail(parseError(game, field.label, token, expected, reason));
+      }
+      result[field.name] = matched.rank;
+      index = matched.next;
+    } else if (field.type === 'value') {
+      const value = parseInt(parts[index], 10);
+      if (isNaN(value) || value < 0) {
+        return fail(parseError(game, field.label, parts[index], describeExpected(field, game)));
+      }
+      result[field.name] = value;
+      index++;
+    } else if (field.type === 'date') {
+      // Everything else is the date
+      const dateString = parts.slice(index).join(' ');
+      const parsed = parseDate(dateString, timestamp);
+      if (parsed.reason) {
+        return fail(parseError(game, field.label, dateString, describeExpected(field, game), parsed.reason));
+      }
+      result[field.name] = parsed.date;
+      index = parts.length;
+    }
   }
 
-  const heroName = sanitize(parts[1]);
-  
-  // Parse current rank
-  let currentRankEnd = 2;
-  let currentRankParts = [parts[2]];
-  
-  while (currentRankEnd < parts.length && isNaN(parseInt(parts[currentRankEnd], 10))) {
-    currentRankParts.push(parts[currentRankEnd]);
-    currentRankEnd++;
-  }
-  
-  if (currentRankEnd >= parts.length) {
-    console.warn('Invalid DL format: missing current value');
-    return null;
-  }
-  
-  const currentRankString = currentRankParts.join(' ');
-  const currentRank = parseRankWithTier(currentRankString, DEADLOCK_RANKS, 6);
-  if (!currentRank) {
-    console.warn('Invalid DL format: invalid current rank');
-    return null;
-  }
-  
-  const currentValue = parseInt(parts[currentRankEnd], 10);
-  if (isNaN(currentValue) || currentValue < 0) {
-    console.warn('Invalid DL format: invalid current value');
-    return null;
-  }
-  
-  const dateString = parts.slice(currentRankEnd + 1).join(' ');
-  const parsedDate = parseDate(dateString);
-  if (!parsedDate) {
-    console.warn('Invalid DL format: invalid date');
+  return { data: result, bareTiers };
+}
+
+/**
+ * Parse an update message for a game definition
+ * Returns the parsed update, or null (the reason is logged)
+ */
+export function parseUpdate(messageContent, game, options = {}) {
+  const result = validateUpdate(messageContent, game, options);
+
+  if (result?.error) {
+    console.warn(`Invalid ${game.code} format: ${result.error.reason}`);
     return null;
   }
 
-  return {
-    game: 'DEADLOCK',
-    userId,
-    heroName,
-    currentRank,
-    currentValue,
-    lastUpdated: parsedDate,
-    rawMention: mention
-  };
+  return result ? result.data : null;
 }
 
 /**
  * Detect game type and parse accordingly
  */
-export function parseMessage(messageContent) {
-  if (!messageContent) return null;
-  
-  if (messageContent.includes('LB_UPDATE_MR:')) {
-    return parseMarvelRivals(messageContent);
-  } else if (messageContent.includes('LB_UPDATE_OW:')) {
-    return parseOverwatch(messageContent);
-  } else if (messageContent.includes('LB_UPDATE_DL:')) {
-    return parseDeadlock(messageContent);
-  }
-  
-  return null;
+export function parseMessage(messageContent, options = {}) {
+  const game = findGameByMessage(messageContent);
+  if (!game) return null;
+
+  return parseUpdate(messageContent, game, options);
 }
 
 /**
  * Batch parse messages
+ * Update messages that fail validation go to `failed` with the reason;
+ * anything else (chatter, other games) is counted as skipped.
  */
 export function parseMultipleUpdates(messages, gameType) {
   const results = {
@@ -404,31 +285,39 @@ export function parseMultipleUpdates(messages, gameType) {
   };
 
   for (const message of messages) {
-    const parsed = parseMessage(message.content);
-    
-    if (!parsed) {
-      results.skipped++;
-      continue;
-    }
-    
+    const game = findGameByMessage(message.content);
+
     // Filter by game type if specified
-    if (gameType && parsed.game !== gameType) {
+    if (!game || (gameType && game.key !== gameType)) {
       results.skipped++;
       continue;
     }
-    
-    if (parsed) {
-      results.successful.push({
+
+    const validated = validateUpdate(message.content, game, { timestamp: message.createdTimestamp });
+
+    if (!validated) {
+      results.skipped++;
+    } else if (validated.error) {
+      results.failed.push({
         messageId: message.id,
-        timestamp: message.createdTimestamp,
+        content: message.content,
         author: message.author,
-        data: parsed
+        message,
+        reason: validated.error.reason,
+        error: validated.error
       });
     } else {
-      results.failed.push({
+      results.successful.push({
         messageId: message.id,
-        content: message.content,
-        reason: 'parse_error'
+        timestamp: message.createdTimestamp,
+        author: message.author,
+        attachments: [...(message.attachments?.values() || [])].map(attachment => ({
+          url: attachment.url,
+          name: attachment.name,
+          contentType: attachment.contentType || null
+        })),
+        message,
+        data: validated.data
       });
     }
   }
@@ -436,72 +325,56 @@ export function parseMultipleUpdates(messages, gameType) {
   return results;
 }
 
+/**
+ * Compare two players on a single sort key
+ * Ranks and dates sort best/newest first unless the key says otherwise.
+ */
+function compareByKey(a, b, sortKey, field, game) {
+  let diff;
+
+  if (field.type === 'rank') {
+    diff = getRankSortValue(a[field.name], game) - getRankSortValue(b[field.name], game);
+  } else if (field.type === 'date') {
+    diff = new Date(a[field.name]) - new Date(b[field.name]);
+  } else if (field.type === 'value') {
+    diff = (a[field.name] ?? 0) - (b[field.name] ?? 0);
+  } else {
+    diff = String(a[field.name] ?? '').localeCompare(String(b[field.name] ?? ''));
+  }
+
+  const order = sortKey.order || (field.type === 'text' ? 'asc' : 'desc');
+  return order === 'asc' ? diff : -diff;
+}
+
 /**
  * Sort players by game-specific rules
  */
 export function sortPlayers(players, gameType) {
   if (!players || players.length === 0) return [];
-  
+
+  const game = getGame(gameType);
+  if (!game) return [...players];
+
+  const keys = game.sortKeys.map(sortKey => ({
+    sortKey,
+    field: game.fields.find(f => f.name === sortKey.field)
+  }));
+
   return [...players].sort((a, b) => {
-    if (gameType === 'MARVEL_RIVALS' || gameType === 'OVERWATCH') {
-      // Compare current rank
-      const maxTier = gameType === 'MARVEL_RIVALS' ? 3 : 5;
-      const validRanks = gameType === 'MARVEL_RIVALS' ? MARVEL_RIVALS_RANKS : OVERWATCH_RANKS;
-      
-      const aRankValue = getRankSortValue(a.currentRank, validRanks, maxTier);
-      const bRankValue = getRankSortValue(b.currentRank, validRanks, maxTier);
-      
-      if (aRankValue !== bRankValue) {
-        return bRankValue - aRankValue; // Higher rank value = better rank
-      }
-      
-      // Tiebreaker 1: Lower current value is better
-      if (a.currentValue !== b.currentValue) {
-        return a.currentValue - b.currentValue;
-      }
-      
-      // Tiebreaker 2: Peak rank
-      const aPeakValue = getRankSortValue(a.peakRank, validRanks, maxTier);
-      const bPeakValue = getRankSortValue(b.peakRank, validRanks, maxTier);
-      
-      if (aPeakValue !== bPeakValue) {
-        return bPeakValue - aPeakValue;
-      }
-      
-      // Tiebreaker 3: Peak value (lower better)
-      if (a.peakValue !== b.peakValue) {
-        return a.peakValue - b.peakValue;
-      }
-      
-      // Tiebreaker 4: Most recent date
-      return new Date(b.lastUpdated) - new Date(a.lastUpdated);
-    } else if (gameType === 'DEADLOCK') {
-      // Compare current rank
-      const aRankValue = getRankSortValue(a.currentRank, DEADLOCK_RANKS, 6);
-      const bRankValue = getRankSortValue(b.currentRank, DEADLOCK_RANKS, 6);
-      
-      if (aRankValue !== bRankValue) {
-        return bRankValue - aRankValue;
-      }
-      
-      // Tiebreaker 1: Lower current value is better
-      if (a.currentValue !== b.currentValue) {
-        return a.currentValue - b.currentValue;
-      }
-      
-      // Tiebreaker 2: Most recent date
-      return new Date(b.lastUpdated) - new Date(a.lastUpdated);
+    for (const { sortKey, field } of keys) {
+      const diff = compareByKey(a, b, sortKey, field, game);
+      if (diff !== 0) return diff;
     }
-    
+
     return 0;
   });
 }
 
 export default {
   parseMessage,
-  parseMarvelRivals,
-  parseOverwatch,
-  parseDeadlock,
+  parseUpdate,
+  validateUpdate,
+  describeFormat,
   parseMultipleUpdates,
   sortPlayers
 };
@@ -0,0 +1,81 @@
+/**
+ * Peak Tracking Module
+ * A player's peak is derived from their own submissions: the best standing
+ * they have reported, ordered by getRankSortValue and then by value.
+ * A peak typed into a message counts as one more report, so it can raise
+ * the peak but never lower it.
+ */
+
+import { getRankSortValue } from './ranks.js';
+import { getStandingFields, getPeakFields } from './games/index.js';
+
+/**
+ * Compare two standings ({ rank, value }); positive when `a` is better
+ * Values follow the direction of the game's sort key for them.
+ */
+export function compareStanding(a, b, game) {
+  const rankDiff = getRankSortValue(a.rank, game) - getRankSortValue(b.rank, game);
+  if (rankDiff !== 0) return rankDiff;
+
+  const peak = getPeakFields(game);
+  const standing = getStandingFields(game);
+  const sortKey = game.sortKeys.find(k => k.field === peak.value) ||
+    game.sortKeys.find(k => k.field === standing.value);
+  const valueDiff = (a.value ?? 0) - (b.value ?? 0);
+
+  return sortKey?.order === 'asc' ? -valueDiff : valueDiff;
+}
+
+/**
+ * Get a player's stored peak as a standing, or null when there is none
+ */
+export function peakOf(player, game) {
+  const peak = getPeakFields(game);
+  if (!peak.rank || !player[peak.rank]) return null;
+
+  return { rank: player[peak.rank], value: player[peak.value] ?? null };
+}
+
+/**
+ * Get the best standing recorded in history snapshots, or null
+ * Snapshots written before peaks were tracked only have their own standing.
+ */
+export function historyPeak(history, game) {
+  const standings = (history || [])
+    .map(snapshot => snapshot.peak || { rank: snapshot.rank, value: snapshot.value })
+    .filter(standing => standing.rank);
+
+  if (standings.length === 0) return null;
+  return standings.reduce((a, b) => (compareStanding(b, a, game) > 0 ? b : a));
+}
+
+/**
+ * Set an entry's peak fields to the best of its previous peak, its
+ * submitted peak (if any) and its current standing
+ */
+export function trackPeak(entry, previousPeak, game) {
+  const peak = getPeakFields(game);
+  if (!peak.rank) return entry;
+
+  const standing = getStandingFields(game);
+  const candidates = [
+    previousPeak,
+    peakOf(entry, game),
+    { rank: entry[standing.rank], value: entry[standing.value] ?? null }
+  ].filter(candidate => candidate?.rank);
+
+  const best = candidates.reduce((a, b) => (compareStanding(b, a, game) > 0 ? b : a));
+
+  return {
+    ...entry,
+    [peak.rank]: best.rank,
+    ...(peak.value ? { [peak.value]: best.value } : {})
+  };
+}
+
+export default {
+  compareStanding,
+  peakOf,
+  historyPeak,
+  trackPeak
+};
@@ -0,0 +1,80 @@
+/**
+ * Permissions Module
+ * Decides who may post an update for which player
+ *
+ * Policies (GAME_<KEY>_SUBMIT_POLICY, falling back to SUBMIT_POLICY):
+ * - self:       authors update their own entry, moderators update anyone (default)
+ * - moderators: only moderators may post updates
+ * - open:       anyone may update anyone
+ */
+
+export const SUBMIT_POLICIES = ['self', 'moderators', 'open'];
+
+/**
+ * Split a comma-separated ID list
+ */
+function parseIdList(value) {
+  return (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load the submission policy for a game from the environment
+ */
+export function loadSubmissionPolicy(gameKey, env = process.env) {
+  const mode = (env[`GAME_${gameKey}_SUBMIT_POLICY`] || env.SUBMIT_POLICY || 'self').toLowerCase();
+
+  if (!SUBMIT_POLICIES.includes(mode)) {
+    throw new Error(`Invalid submit policy "${mode}" for ${gameKey} (expected: ${SUBMIT_POLICIES.join(', ')})`);
+  }
+
+  return {
+    mode,
+    moderatorRoleIds: parseIdList(env[`GAME_${gameKey}_MODERATOR_ROLE_IDS`] ?? env.MODERATOR_ROLE_IDS)
+  };
+}
+
+/**
+ * Check whether a policy needs the author's roles to decide
+ */
+export function needsAuthorRoles(policy, authorId, targetUserId) {
+  if (policy.mode === 'open') return false;
+  if (policy.mode === 'self' && authorId === targetUserId) return false;
+  return policy.moderatorRoleIds.length > 0;
+}
+
+/**
+ * Decide whether an author may post an update for a player
+ * `trusted` authors (e.g. the bot relaying a /lb submit) are always allowed.
+ * Returns { allowed, reason }
+ */
+export function authorizeUpdate(policy, { authorId, authorRoleIds = [], targetUserId, trusted = false }) {
+  if (trusted || policy.mode === 'open') {
+    return { allowed: true, reason: null };
+  }
+
+  const isModerator = authorRoleIds.some(id => policy.moderatorRoleIds.includes(id));
+  if (isModerator) {
+    return { allowed: true, reason: null };
+  }
+
+  if (policy.mode === 'self' && authorId === targetUserId) {
+    return { allowed: true, reason: null };
+  }
+
+  return {
+    allowed: false,
+    reason: policy.mode === 'moderators'
+      ? 'only moderators can post updates'
+      : 'you can only update your own entry'
+  };
+}
+
+export default {
+  SUBMIT_POLICIES,
+  loadSubmissionPolicy,
+  needsAuthorRoles,
+  authorizeUpdate
+};
@@ -0,0 +1,138 @@
+/**
+ * Rank Model Module
+ * How the number after a rank name works, per game and per rank:
+ * - tiers:     1..count, where `best` says whether 1 or count is the top tier
+ *              (the game's `tiers`, or a `rankTiers` override with a count)
+ * - placement: a leaderboard position like Top 500 #12 (`{ placement: 500 }`),
+ *              lower is better
+ * - none:      no number at all (`{ count: 0 }`)
+ *
+ * A division is one step on the ladder: each tier, or a whole rank without
+ * tiers. Climbs are counted in divisions; sorting also orders placements.
+ */
+
+export const TIER_DIRECTIONS = ['lowest', 'highest'];
+
+/**
+ * Get the tier model of a rank: { kind: 'tiers' | 'placement' | 'none', count, best }
+ */
+export function getTierModel(rankName, game) {
+  const override = game.rankTiers?.[rankName];
+
+  if (!override) return { kind: 'tiers', ...game.tiers };
+  if (override.placement) return { kind: 'placement', count: override.placement, best: 'lowest' };
+  if (override.count === 0) return { kind: 'none', count: 0, best: game.tiers.best };
+  return { kind: 'tiers', best: game.tiers.best, ...override };
+}
+
+/**
+ * Number of divisions a rank spans
+ */
+function divisionsOf(rankName, game) {
+  const model = getTierModel(rankName, game);
+  return model.kind === 'tiers' ? model.count : 1;
+}
+
+/**
+ * Highest number any rank accepts after its name (a tier or a placement)
+ */
+export function getMaxTier(game) {
+  return Math.max(...game.ranks.map(rank => getTierModel(rank, game).count));
+}
+
+/**
+ * Get a rank's division on the ladder, counting from 1 at the bottom
+ * (-1 for unknown ranks)
+ */
+export function getDivision(rankObj, game) {
+  if (!rankObj) return -1;
+
+  const rankIndex = game.ranks.findIndex(r => r.toLowerCase() === rankObj.rank.toLowerCase());
+  if (rankIndex === -1) return -1;
+
+  const below = game.ranks.slice(0, rankIndex).reduce((sum, rank) => sum + divisionsOf(rank, game), 0);
+  const model = getTierModel(game.ranks[rankIndex], game);
+
+  if (model.kind !== 'tiers') return below + 1;
+
+  // Example for Diamond 2 in Marvel Rivals (3 tiers, best tier lowest):
+  // 12 divisions below Diamond, then 3 - 2 + 1 = 2 → division 14
+  const tier = rankObj.tier ?? 1;
+  return below + (model.best === 'lowest' ? model.count - tier + 1 : tier);
+}
+
+/**
+ * Get numeric rank value for sorting (higher number = better rank)
+ * The division, plus a fraction below 1 that orders placements (#1 highest);
+ * a placement-based rank without a number sorts below any numbered one.
+ */
+export function getRankSortValue(rankObj, game) {
+  const division = getDivision(rankObj, game);
+  if (division === -1 || rankObj.tier === null || rankObj.tier === undefined) return division;
+
+  const model = getTierModel(game.ranks.find(r => r.toLowerCase() === rankObj.rank.toLowerCase()), game);
+  return model.kind === 'placement'
+    ? division + (model.count - rankObj.tier + 1) / (model.count + 1)
+    : division;
+}
+
+/**
+ * The best rank a game's ladder allows (its top rank at its best tier)
+ */
+function ladderTop(game) {
+  const rank = game.ranks[game.ranks.length - 1];
+  const model = getTierModel(rank, game);
+
+  if (model.kind === 'none') return { rank, tier: null };
+  if (model.kind === 'placement') return { rank, tier: 1 };
+  return { rank, tier: model.best === 'lowest' ? 1 : model.count };
+}
+
+/**
+ * Position of a rank on its game's ladder, from 0 (the bottom division) to
+ * 100 (the top), so standings can be compared across games; null for
+ * unknown ranks
+ */
+export function getLadderPercentile(rankObj, game) {
+  const value = getRankSortValue(rankObj, game);
+  if (value === -1) return null;
+
+  const top = getRankSortValue(ladderTop(game), game);
+  return top > 1 ? Math.min(100, ((value - 1) / (top - 1)) * 100) : 100;
+}
+
+/**
+ * Validate a game's tier settings and per-rank overrides
+ */
+export function validateTiers(definition) {
+  const { key, tiers, ranks, rankTiers = {} } = definition;
+
+  if (!Number.isInteger(tiers.count) || tiers.count < 0 || !TIER_DIRECTIONS.includes(tiers.best)) {
+    throw new Error(`Game ${key}: tiers needs a whole count and best: ${TIER_DIRECTIONS.join(' or ')}`);
+  }
+
+  for (const [rank, override] of Object.entries(rankTiers)) {
+    if (!ranks.includes(rank)) {
+      throw new Error(`Game ${key}: rankTiers for unknown rank ${rank}`);
+    }
+
+    const valid = override.placement !== undefined
+      ? Number.isInteger(override.placement) && override.placement > 0
+      : Number.isInteger(override.count) && override.count >= 0 &&
+        (override.best === undefined || TIER_DIRECTIONS.includes(override.best));
+
+    if (!valid) {
+      throw new Error(`Game ${key}: rankTiers.${rank} needs { placement: n }, { count: 0 } or { count: n, best }`);
+    }
+  }
+}
+
+export default {
+  TIER_DIRECTIONS,
+  getTierModel,
+  getMaxTier,
+  getDivision,
+  getRankSortValue,
+  getLadderPercentile,
+  validateTiers
+};
@@ -0,0 +1,179 @@
+/**
+ * Reconciliation Module
+ * Re-checks the source message behind each player's entry so edits and
+ * deletions of already-processed LB_UPDATE messages reach the board.
+ */
+
+import { parseUpdate } from './parser.js';
+import { getStandingFields, getPeakFields, getPlayerKey } from './games/index.js';
+import { historyPeak, trackPeak } from './peaks.js';
+
+const DISCORD_EPOCH = 1420070400000n;
+
+/**
+ * Creation time (ms) encoded in a Discord snowflake ID
+ */
+export function snowflakeTimestamp(id) {
+  return Number((BigInt(id) >> 22n) + DISCORD_EPOCH);
+}
+
+/**
+ * Re-parse a source message into a player entry, with the peak tracked on
+ * top of the history that came before it
+ * Returns null when the message is gone, invalid or now names another player
+ * (or, for sectioned games, another section)
+ */
+function entryFromMessage(message, game, player, history) {
+  if (!message) return null;
+
+  // Relative dates count from the message, so re-reading it gives the same date
+  const parsed = parseUpdate(message.content, game, { timestamp: message.createdTimestamp });
+  if (!parsed || getPlayerKey(parsed, game) !== getPlayerKey(player, game)) return null;
+
+  return trackPeak({ ...parsed, sourceMessageId: message.id }, historyPeak(history, game), game);
+}
+
+/**
+ * Check whether two entries store the same data
+ */
+function sameEntry(a, b, game) {
+  return game.storage.every(column => JSON.stringify(a[column]) === JSON.stringify(b[column]));
+}
+
+/**
+ * Roll a player back to the newest history snapshot whose source message is
+ * still valid. Returns null when nothing valid is left.
+ */
+export async function rollbackPlayer(player, game, fetchMessage) {
+  const history = [...(player.history || [])];
+
+  while (history.length > 0) {
+    const snapshot = history.pop();
+
+    if (!snapshot.source) {
+      // Snapshot recorded before sources were tracked: restore what it kept
+      const standing = getStandingFields(game);
+      const peak = getPeakFields(game);
+      const restored = {
+        ...player,
+        [standing.rank]: snapshot.rank,
+        [standing.value]: snapshot.value,
+        ...(peak.rank ? { [peak.rank]: null } : {}),
+        lastUpdated: snapshot.date,
+        sourceMessageId: null,
+        verified: Boolean(snapshot.verified),
+        history
+      };
+      return trackPeak(restored, snapshot.peak || historyPeak(history, game), game);
+    }
+
+    const entry = entryFromMessage(await fetchMessage(snapshot.source), game, player, history);
+    if (entry) {
+      return { ...entry, verified: Boolean(snapshot.verified), movement: player.movement, history };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reconcile one player against its source message
+ * `message` is the current source message, or null if it was deleted.
+ * Edits that need a moderator are returned as `held`
+ * ({ messageId, message, author, reasons }):
+ * - with `requireApproval` (verified mode) every edit is held and the
+ *   approved entry stays on the board until a moderator decides
+ * - `checkEdit(entry, player)` lists the reasons an edit looks implausible;
+ *   with `holdImplausible` such an edit is held and the entry rolled back
+ */
+export async function reconcilePlayer(player, game, message, fetchMessage, options = {}) {
+  const {
+    requireApproval = false,
+    checkEdit = null,
+    holdImplausible = false
+  } = options;
+
+  const entry = entryFromMessage(message, game, player, player.history);
+
+  if (entry && sameEntry(entry, player, game)) {
+    return { player, action: 'unchanged' };
+  }
+
+  const reasons = entry && checkEdit ? checkEdit(entry, player) : [];
+  if (reasons.length > 0) {
+    console.warn(`   ⚠️  Implausible edit for ${player.userId}: ${reasons.join('; ')}`);
+  }
+
+  const held = entry ? { messageId: message.id, message, author: message.author, reasons } : null;
+
+  if (held && requireApproval) {
+    return { player, action: 'held', held };
+  }
+
+  if (entry && !(holdImplausible && reasons.length > 0)) {
+    return {
+      player: { ...entry, movement: player.movement, history: player.history || [] },
+      action: 'edited'
+    };
+  }
+
+  // Deleted, or edited into something invalid or held: fall back to the previous entry
+  const previous = await rollbackPlayer(player, game, fetchMessage);
+
+  if (held) {
+    return { player: previous, action: 'held', held };
+  }
+
+  return previous
+    ? { player: previous, action: 'rolledBack' }
+    : { player: null, action: 'removed' };
+}
+
+/**
+ * Reconcile every player whose source message was posted after `since`
+ */
+export async function reconcilePlayers(players, game, fetchMessage, options = {}) {
+  const {
+    since = 0,
+    ...reconcileOptions
+  } = options;
+
+  const result = { players: [], edited: 0, rolledBack: 0, removed: 0, held: [] };
+
+  for (const player of players) {
+    if (!player.sourceMessageId || snowflakeTimestamp(player.sourceMessageId) < since) {
+      result.players.push(player);
+      continue;
+    }
+
+    const message = await fetchMessage(player.sourceMessageId);
+    const { player: reconciled, action, held } = await reconcilePlayer(player, game, message, fetchMessage, reconcileOptions);
+
+    if (action === 'edited') {
+      result.edited++;
+      console.log(`   ✎ Applied edit for ${player.userId}`);
+    } else if (action === 'rolledBack') {
+      result.rolledBack++;
+      console.log(`   ↺ Rolled back ${player.userId} to previous entry`);
+    } else if (action === 'removed') {
+      result.removed++;
+      console.log(`   ✗ Removed ${player.userId}, no valid entry left`);
+    } else if (action === 'held') {
+      result.held.push(held);
+      console.log(`   ⏳ Held edit for ${player.userId} for a moderator`);
+    }
+
+    if (reconciled) {
+      result.players.push(reconciled);
+    }
+  }
+
+  return result;
+}
+
+export default {
+  reconcilePlayers,
+  reconcilePlayer,
+  rollbackPlayer,
+  snowflakeTimestamp
+};
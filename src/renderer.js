@@ -3,12 +3,23 @@
  * Formats leaderboard data with stylized output and relative time
  */
 
-import { encodeState } from './storage.js';
+import { encodeState, encodeManifest } from './storage.js';
+import { getGame, getStandingFields } from './games/index.js';
+import { describeFormat, sortPlayers } from './parser.js';
+import { getTierModel, getDivision } from './ranks.js';
+import { getSection, bestEntries } from './sections.js';
+import { DAY_MS, formatTimestamp } from './dates.js';
+
+// Entries in the combined view of a sectioned board's manifest
+const COMBINED_VIEW_SIZE = 10;
+
+// Podium markers for the top three
+export const MEDALS = ['🥇', '🥈', '🥉'];
 
 /**
  * Get relative time string (e.g., "2 days ago", "5 minutes ago")
  */
-function getRelativeTime(dateString) {
+export function getRelativeTime(dateString) {
   const date = new Date(dateString);
   const now = new Date();
   const diffMs = now - date;
@@ -28,7 +39,7 @@ function getRelativeTime(dateString) {
     return diffHours === 1 ? '1 hour ago' : `${diffHours} hours ago`;
   } else if (diffDays < 7) {
     return diffDays === 1 ? '1 day ago' : `${diffDays} days ago`;
-  } else if (diffWeeks < 4) {
+  } else if (diffMonths < 1) {
     return diffWeeks === 1 ? '1 week ago' : `${diffWeeks} weeks ago`;
   } else if (diffMonths < 12) {
     return diffMonths === 1 ? '1 month ago' : `${diffMonths} months ago`;
@@ -40,76 +51,183 @@ function getRelativeTime(dateString) {
 /**
  * Get rank emoji based on rank name
  */
-function getRankEmoji(rankName) {
-  const rank = rankName.toLowerCase();
-  
-  const rankEmojis = {
-    // Marvel Rivals
-    'bronze': '🟫',
-    'silver': '⚪',
-    'gold': '🟡',
-    'platinum': '🔵',
-    'diamond': '💎',
-    'grandmaster': '👑',
-    'celestial': '✨',
-    'eternity': '♾️',
-    'one above all': '🌟',
-    
-    // Overwatch
-    'master': '🎖️',
-    'champion': '🏆',
-    'top 500': '⭐',
-    
-    // Deadlock
-    'initiate': '🔰',
-    'seeker': '🔍',
-    'alchemist': '⚗️',
-    'arcanist': '🔮',
-    'ritualist': '📿',
-    'emissary': '💼',
-    'archon': '👤',
-    'oracle': '🧙',
-    'phantom ascendant': '👻',
-    'eternus': '♾️'
-  };
-
-  return rankEmojis[rank] || '🔹';
+export function getRankEmoji(rankName, game) {
+  const match = Object.keys(game.emojis).find(r => r.toLowerCase() === rankName.toLowerCase());
+  return match ? game.emojis[match] : '🔹';
 }
 
 /**
- * Format rank display with tier
+ * Format rank display with tier ("Diamond 2"), placement ("Top 500 #12")
+ * or neither ("Eternity"); without the game, the tier is shown as stored
  */
-function formatRank(rankObj) {
+export function formatRank(rankObj, game = null) {
   if (!rankObj) return 'Unknown';
+
+  const model = game ? getTierModel(rankObj.rank, game) : null;
+  if (rankObj.tier === null || rankObj.tier === undefined || model?.kind === 'none') return rankObj.rank;
+  if (model?.kind === 'placement') return `${rankObj.rank} #${rankObj.tier}`;
   return `${rankObj.rank} ${rankObj.tier}`;
 }
 
 /**
- * Render a single player entry for Marvel Rivals or Overwatch
+ * Render one display segment of a player entry
  */
-function renderMRorOWEntry(player, gameType) {
-  const emoji = getRankEmoji(player.currentRank.rank);
-  const peakEmoji = getRankEmoji(player.peakRank.rank);
-  const relativeTime = getRelativeTime(player.lastUpdated);
-  
-  const currentRankDisplay = formatRank(player.currentRank);
-  const peakRankDisplay = formatRank(player.peakRank);
-  
-  const valueLabel = gameType === 'OVERWATCH' ? 'SR' : 'RR';
-  
-  return `<@${player.userId}>  •  ${player.role}  •  ${emoji} ${currentRankDisplay} (${player.currentValue} ${valueLabel})  •  Peak: ${peakEmoji} ${peakRankDisplay} ${player.peakValue}  •  ${relativeTime}`;
+export function renderSegment(player, segment, game) {
+  const field = game.fields.find(f => f.name === segment.field);
+
+  if (field.type !== 'rank') {
+    return `${segment.label ? `${segment.label}: ` : ''}${player[segment.field]}`;
+  }
+
+  const rankObj = player[segment.field];
+  const emoji = rankObj ? getRankEmoji(rankObj.rank, game) : '🔹';
+  let text = `${emoji} ${formatRank(rankObj, game)}`;
+
+  if (segment.value) {
+    const value = player[segment.value];
+    text += segment.unit ? ` (${value} ${game.valueLabel})` : ` ${value}`;
+  }
+
+  return segment.label ? `${segment.label}: ${text}` : text;
 }
 
 /**
- * Render a single player entry for Deadlock
+ * Render movement since the player's last update (e.g. "▲2 +45 RR")
+ * Returns null when there is nothing to show
  */
-function renderDeadlockEntry(player) {
-  const emoji = getRankEmoji(player.currentRank.rank);
-  const relativeTime = getRelativeTime(player.lastUpdated);
-  
-  const currentRankDisplay = formatRank(player.currentRank);
-  
-  return `<@${player.userId}>  •  ${player.heroName}  •  ${emoji} ${currentRankDisplay} (${player.currentValue} MMR)  •  ${relativeTime}`;
+export function renderTrend(player, game) {
+  const parts = [];
+
+  if (player.movement === 'new') {
+    parts.push('🆕');
+  } else if (player.movement > 0) {
+    parts.push(`▲${player.movement}`);
+  } else if (player.movement < 0) {
+    parts.push(`▼${Math.abs(player.movement)}`);
+  }
+
+  const previous = player.history?.[player.history.length - 1];
+  const standing = getStandingFields(game);
+  if (previous && standing.value) {
+    const delta = player[standing.value] - previous.value;
+    if (delta !== 0) {
+      parts.push(`${delta > 0 ? '+' : ''}${delta} ${game.valueLabel}`);
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Render the player's final standing in the previous season
+ * Returns null when they were not on that board
+ */
+function renderLastSeason(player, game) {
+  const last = player.lastSeason;
+  if (!last) return null;
+
+  const emoji = getRankEmoji(last.rank.rank, game);
+  return `${last.season}: #${last.position} ${emoji} ${formatRank(last.rank, game)}`;
+}
+
+/**
+ * Render a single player entry
+ */
+function renderEntry(player, game) {
+  const segments = [
+    player.verified ? `<@${player.userId}> ✔` : `<@${player.userId}>`,
+    ...game.display.map(segment => renderSegment(player, segment, game)),
+    renderLastSeason(player, game),
+    renderTrend(player, game),
+    getRelativeTime(player.lastUpdated)
+  ].filter(Boolean);
+
+  return segments.join('  •  ');
+}
+
+/**
+ * Render a single player entry for a game type
+ */
+export function renderPlayerLine(player, gameType) {
+  return renderEntry(player, requireGame(gameType));
+}
+
+/**
+ * Get the snapshot a player's progress this week is measured from: the
+ * latest one from before the week, or the oldest one inside it
+ * Returns null when the player has no history or no update this week.
+ */
+export function getWeeklyBaseline(player, now = Date.now()) {
+  const weekAgo = now - 7 * DAY_MS;
+  const history = player.history || [];
+  if (history.length === 0 || new Date(player.lastUpdated).getTime() < weekAgo) return null;
+
+  const before = history.filter(h => new Date(h.date).getTime() < weekAgo);
+  return before.length > 0 ? before[before.length - 1] : history[0];
+}
+
+/**
+ * Find the players who climbed the most rank divisions in the last week
+ */
+function getBiggestClimbers(players, game, limit = 3) {
+  const standing = getStandingFields(game);
+
+  return players
+    .map(player => {
+      const baseline = getWeeklyBaseline(player);
+      if (!baseline) return null;
+
+      const climb = getDivision(player[standing.rank], game) - getDivision(baseline.rank, game);
+      return climb > 0 ? { player, baseline, climb } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.climb - a.climb)
+    .slice(0, limit);
+}
+
+/**
+ * Render the board footer: totals, climbers and the update time
+ */
+function renderFooter(players, game, maxPlayers) {
+  const output = [];
+
+  output.push('━━━━━━━━━━━━━━━━━━');
+  if (players && players.length > 0) {
+    // Dropped players are still stored but no longer count
+    const ranked = players.filter(p => p.activity !== 'dropped');
+    const inactive = ranked.filter(p => p.activity === 'stale').length;
+    const playerCount = new Set(ranked.map(p => p.userId)).size;
+    const entries = playerCount !== ranked.length ? `, ${ranked.length} entries` : '';
+
+    output.push(`📊 Total Players: ${playerCount}${entries}${inactive > 0 ? ` (💤 ${inactive} inactive)` : ''}`);
+    if (ranked.length > maxPlayers) {
+      output.push(`(Showing top ${maxPlayers})`);
+    }
+
+    const climbers = getBiggestClimbers(players, game);
+    if (climbers.length > 0) {
+      const standing = getStandingFields(game);
+      output.push('🚀 Biggest Climbers This Week:');
+      climbers.forEach(({ player, baseline, climb }) => {
+        const section = game.sectionField ? ` (${getSection(player, game)})` : '';
+        output.push(`   <@${player.userId}>${section} +${climb} ${climb === 1 ? 'division' : 'divisions'} (${formatRank(baseline.rank, game)} → ${formatRank(player[standing.rank], game)})`);
+      });
+    }
+  }
+  output.push(`Last Updated: ${formatTimestamp(Date.now())}`);
+
+  return output;
+}
+
+/**
+ * Look up a game definition or fail loudly
+ */
+export function requireGame(gameType) {
+  const game = getGame(gameType);
+  if (!game) {
+    throw new Error(`Unknown game type: ${gameType}`);
+  }
+  return game;
 }
 
 /**
@@ -120,6 +238,7 @@ export function renderLeaderboard(gameName, players, lastProcessedMessageId, gam
     maxPlayers = 50
   } = options;
 
+  const game = requireGame(gameType);
   const output = [];
 
   // Header
@@ -130,33 +249,19 @@ export function renderLeaderboard(gameName, players, lastProcessedMessageId, gam
   if (!players || players.length === 0) {
     output.push('No leaderboard data available.');
     output.push('');
-    const prefix = gameType === 'MARVEL_RIVALS' ? 'LB_UPDATE_MR' : 
-                   gameType === 'OVERWATCH' ? 'LB_UPDATE_OW' : 'LB_UPDATE_DL';
-    output.push(`💡 Use \`${prefix}: @user ...\` to add entries.`);
+    output.push(`💡 Use \`${game.prefix}: @user ...\` to add entries.`);
   } else {
     // Render players
     const limitedPlayers = players.slice(0, maxPlayers);
     
     limitedPlayers.forEach((player) => {
-      if (gameType === 'MARVEL_RIVALS' || gameType === 'OVERWATCH') {
-        output.push(renderMRorOWEntry(player, gameType));
-      } else if (gameType === 'DEADLOCK') {
-        output.push(renderDeadlockEntry(player));
-      }
+      output.push(renderEntry(player, game));
     });
   }
 
   // Footer
   output.push('');
-  output.push('━━━━━━━━━━━━━━━━━━');
-  if (players && players.length > 0) {
-    output.push(`📊 Total Players: ${players.length}`);
-    if (players.length > maxPlayers) {
-      output.push(`(Showing top ${maxPlayers})`);
-    }
-  }
-  const now = new Date();
-  output.push(`Last Updated: ${now.toUTCString()}`);
+  output.push(...renderFooter(players, game, maxPlayers));
   output.push('');
 
   // Embed data section
@@ -166,6 +271,203 @@ export function renderLeaderboard(gameName, players, lastProcessedMessageId, gam
   return output.join('\n');
 }
 
+/**
+ * Each player's best entry across sections, active players first
+ */
+export function combinedStandings(players, gameType) {
+  const byActivity = activity => sortPlayers(players.filter(p => (p.activity || 'active') === activity), gameType);
+  return bestEntries([...byActivity('active'), ...byActivity('stale')]);
+}
+
+/**
+ * Render the manifest with up to `combinedSize` entries in the combined view
+ */
+function buildManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board, combinedSize) {
+  const game = requireGame(gameType);
+  const pendingIds = board.pendingIds || [];
+  const pages = shardIds.length === 1 ? '1 message' : `${shardIds.length} messages`;
+  const output = [];
+
+  output.push(`🏆 ${gameName.toUpperCase()} LEADERBOARD${board.season ? ` — ${board.season}` : ''}`);
+  output.push('');
+
+  if (!players || players.length === 0) {
+    output.push('No leaderboard data available.');
+    output.push('');
+    output.push(`💡 Use \`${game.prefix}: @user ...\` to add entries.`);
+  } else if (game.sectionField) {
+    const label = game.sectionLabel || game.fields.find(f => f.name === game.sectionField).label;
+    const combined = combinedStandings(players, gameType).slice(0, combinedSize);
+
+    if (combined.length > 0) {
+      output.push(`🏅 **Best ${label} per player**`);
+      combined.forEach((player, i) => output.push(`${i + 1}. ${renderEntry(player, game)}`));
+      output.push('');
+    }
+    output.push(`📜 Standings per ${label} below (${pages})`);
+  } else {
+    output.push(`📜 Full standings below (${pages})`);
+  }
+
+  if (pendingIds.length > 0) {
+    output.push(`⏳ ${pendingIds.length} ${pendingIds.length === 1 ? 'update' : 'updates'} awaiting verification`);
+  }
+
+  output.push('');
+  output.push(...renderFooter(players, game, Infinity));
+  output.push('');
+  output.push(encodeManifest(lastProcessedMessageId, gameType, shardIds, board));
+
+  return output.join('\n');
+}
+
+/**
+ * Render the manifest message: header, footer and the list of shard messages
+ * The player entries themselves live in the shards; sectioned games also
+ * show a combined view of each player's best entry, shortened to fit.
+ */
+export function renderManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board = {}, maxLength = 1900) {
+  let combinedSize = COMBINED_VIEW_SIZE;
+  let content = buildManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board, combinedSize);
+
+  while (content.length > maxLength && combinedSize > 0) {
+    combinedSize--;
+    content = buildManifest(gameName, players, lastProcessedMessageId, gameType, shardIds, board, combinedSize);
+  }
+
+  return content;
+}
+
+/**
+ * Render the header of a season archive: the podium and totals
+ * The full final standings follow as shards (see paginatePlayers).
+ */
+export function renderSeasonFinal(gameName, season, players, gameType) {
+  const game = requireGame(gameType);
+  const output = [];
+  output.push(`🏁 ${gameName.toUpperCase()} — ${season.name.toUpperCase()} FINAL STANDINGS`);
+  if (season.start) {
+    output.push(`${season.start} → ${season.end}`);
+  }
+  output.push('');
+
+  if (players.length === 0) {
+    output.push('No players this season.');
+  } else {
+    // Sectioned boards crown players by their best entry
+    const podium = game.sectionField ? combinedStandings(players, gameType) : players;
+    podium.slice(0, MEDALS.length).forEach((player, i) => {
+      output.push(`${MEDALS[i]} ${renderEntry(player, game)}`);
+    });
+    output.push('');
+    output.push(`📊 Total Players: ${new Set(players.map(p => p.userId)).size}`);
+    output.push('📜 Full standings below');
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Render one shard: a slice of the sorted board and the encoded state for it
+ * Sectioned games get a "Top <section>" heading where each section starts
+ * (and again at the top of a shard that continues one).
+ * Stale players are greyed out under an "Inactive" heading; dropped players
+ * are only counted, but still encoded so they return when they post again.
+ */
+export function renderShard(players, lastProcessedMessageId, gameType, offset = 0) {
+  const game = requireGame(gameType);
+  const output = [];
+  const visible = players.filter(player => player.activity !== 'dropped');
+  const hidden = players.length - visible.length;
+
+  output.push(visible.length > 0
+    ? `📄 Players ${offset + 1}–${offset + visible.length}`
+    : '📄 Hidden players');
+  output.push('');
+  visible.forEach((player, i) => {
+    const section = getSection(player, game);
+    const newSection = section !== null && (i === 0 || getSection(visible[i - 1], game) !== section);
+
+    if (newSection) {
+      if (i > 0) output.push('');
+      output.push(`🎯 **Top ${section}**`);
+    }
+
+    if (player.activity !== 'stale') {
+      output.push(renderEntry(player, game));
+      return;
+    }
+
+    if (newSection || i === 0 || visible[i - 1].activity !== 'stale') {
+      output.push('💤 **Inactive**');
+    }
+    output.push(`-# ${renderEntry(player, game)}`);
+  });
+  if (hidden > 0) {
+    output.push(`-# ${hidden} ${hidden === 1 ? 'player is' : 'players are'} hidden until they post a new update`);
+  }
+  output.push('');
+  output.push(encodeState(lastProcessedMessageId, players, gameType));
+
+  return output.join('\n');
+}
+
+/**
+ * Split sorted players into shards that each fit within maxLength
+ * Returns the rendered shard contents, in board order
+ */
+export function paginatePlayers(players, lastProcessedMessageId, gameType, maxLength = 1900) {
+  const shards = [];
+  let current = [];
+  let offset = 0;
+
+  for (const player of players) {
+    const candidate = [...current, player];
+    const rendered = renderShard(candidate, lastProcessedMessageId, gameType, offset);
+
+    if (rendered.length > maxLength && current.length > 0) {
+      shards.push(renderShard(current, lastProcessedMessageId, gameType, offset));
+      offset += current.length;
+      current = [player];
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current.length > 0) {
+    shards.push(renderShard(current, lastProcessedMessageId, gameType, offset));
+  }
+
+  shards.forEach(content => validateMessageLength(content));
+
+  return shards;
+}
+
+/**
+ * Explain a parse error to the player who posted the message
+ */
+export function renderParseError(error, gameType) {
+  const game = requireGame(gameType);
+  const expected = Array.isArray(error.expected) ? error.expected.join(', ') : error.expected;
+  const problem = error.token === null
+    ? error.reason
+    : `${error.reason} \`${error.token}\``;
+
+  const lines = [
+    `❌ Couldn't read your ${game.name} update: ${problem}.`,
+    ...(error.suggestion ? [`Did you mean **${error.suggestion}**?`] : []),
+    `Expected: ${expected}`,
+    '',
+    `Format: \`${describeFormat(game)}\``
+  ];
+
+  if (game.example) {
+    lines.push(`Example: \`${game.example}\``);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Validate message fits Discord limits
  */
@@ -181,41 +483,22 @@ export function validateMessageLength(content) {
   return true;
 }
 
-/**
- * Truncate if needed
- */
-export function truncateIfNeeded(gameName, players, lastProcessedMessageId, gameType, maxLength = 1900) {
-  let rendered = renderLeaderboard(gameName, players, lastProcessedMessageId, gameType);
-  
-  if (rendered.length <= maxLength) {
-    return { content: rendered, truncated: false };
-  }
-
-  // Try reducing player count
-  let playerCount = Math.floor(players.length / 2);
-  
-  while (playerCount > 0) {
-    rendered = renderLeaderboard(
-      gameName, 
-      players.slice(0, playerCount), 
-      lastProcessedMessageId,
-      gameType,
-      { maxPlayers: playerCount }
-    );
-    
-    if (rendered.length <= maxLength) {
-      return { content: rendered, truncated: true, shownCount: playerCount };
-    }
-    
-    playerCount = Math.floor(playerCount / 2);
-  }
-
-  rendered = renderLeaderboard(gameName, players.slice(0, 3), lastProcessedMessageId, gameType);
-  return { content: rendered, truncated: true, shownCount: 3 };
-}
-
 export default {
+  MEDALS,
   renderLeaderboard,
-  validateMessageLength,
-  truncateIfNeeded
+  renderManifest,
+  renderSeasonFinal,
+  renderShard,
+  paginatePlayers,
+  renderPlayerLine,
+  renderSegment,
+  renderTrend,
+  getRelativeTime,
+  getWeeklyBaseline,
+  combinedStandings,
+  formatRank,
+  getRankEmoji,
+  requireGame,
+  renderParseError,
+  validateMessageLength
 };
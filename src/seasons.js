@@ -0,0 +1,83 @@
+/**
+ * Seasons Module
+ * Games list their seasons in the definition (`seasons: [{ name, start, end }]`,
+ * dates as YYYY-MM-DD in UTC, both days included). A board belongs to one
+ * season; once that season ends the sync archives it and starts a fresh one.
+ */
+
+import { DAY_MS } from './dates.js';
+
+/**
+ * First and last millisecond of a season
+ */
+function seasonRange(season) {
+  const start = new Date(season.start).getTime();
+  return { start, end: new Date(season.end).getTime() + DAY_MS - 1 };
+}
+
+/**
+ * Find a season by name
+ */
+export function findSeason(game, name) {
+  return (game.seasons || []).find(season => season.name === name) || null;
+}
+
+/**
+ * Get the season a moment falls in, or null between seasons
+ */
+export function getSeasonAt(game, time = Date.now()) {
+  const timestamp = new Date(time).getTime();
+
+  return (game.seasons || []).find(season => {
+    const { start, end } = seasonRange(season);
+    return timestamp >= start && timestamp <= end;
+  }) || null;
+}
+
+/**
+ * Check whether a named season is over
+ * Unknown season names count as over, so a renamed season is archived too.
+ */
+export function hasSeasonEnded(game, name, time = Date.now()) {
+  const season = findSeason(game, name);
+  return !season || new Date(time).getTime() > seasonRange(season).end;
+}
+
+/**
+ * Check whether a date falls before a season started
+ */
+export function isBeforeSeason(season, date) {
+  return new Date(date).getTime() < seasonRange(season).start;
+}
+
+/**
+ * Validate a game's season list: named, valid dates, in order, no overlaps
+ * Names end up in the manifest, so they cannot contain "|" or line breaks.
+ */
+export function validateSeasons(gameKey, seasons) {
+  let previousEnd = -Infinity;
+
+  for (const season of seasons) {
+    if (!season.name || /[|\n]/.test(season.name)) {
+      throw new Error(`Game ${gameKey}: season names are required and cannot contain "|" or line breaks`);
+    }
+
+    const { start, end } = seasonRange(season);
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw new Error(`Game ${gameKey}: season ${season.name} needs a valid start and end date`);
+    }
+    if (start <= previousEnd) {
+      throw new Error(`Game ${gameKey}: season ${season.name} overlaps the season before it`);
+    }
+
+    previousEnd = end;
+  }
+}
+
+export default {
+  findSeason,
+  getSeasonAt,
+  hasSeasonEnded,
+  isBeforeSeason,
+  validateSeasons
+};
@@ -0,0 +1,80 @@
+/**
+ * Sections Module
+ * Games with a `sectionField` (Overwatch roles, Deadlock heroes, ...) keep
+ * one entry per player and section. The board is split into a sub-board per
+ * section, and the combined view lists each player's best entry.
+ */
+
+import { getPlayerKey } from './games/index.js';
+
+/**
+ * Get the section an entry belongs to, spelled like the field's canonical
+ * value when there is one (so "tank" and "Tank" share a section)
+ */
+export function getSection(player, game) {
+  if (!game.sectionField) return null;
+
+  const value = String(player[game.sectionField] ?? '');
+  const field = game.fields.find(f => f.name === game.sectionField);
+  const canonical = (field.values || []).find(v => v.toLowerCase() === value.toLowerCase());
+
+  return canonical || value;
+}
+
+/**
+ * Split sorted entries into sections, keeping their order within each one
+ * Sections follow the field's values, then the rest alphabetically.
+ * Returns [{ section, players }]; a single null section for other games.
+ */
+export function groupBySection(players, game) {
+  if (!game.sectionField) return [{ section: null, players }];
+
+  const groups = new Map();
+  for (const player of players) {
+    const section = getSection(player, game);
+    if (!groups.has(section)) groups.set(section, []);
+    groups.get(section).push(player);
+  }
+
+  const field = game.fields.find(f => f.name === game.sectionField);
+  const order = field.values || [];
+  const position = section => (order.includes(section) ? order.indexOf(section) : order.length);
+
+  return [...groups.keys()]
+    .sort((a, b) => position(a) - position(b) || a.localeCompare(b))
+    .map(section => ({ section, players: groups.get(section) }));
+}
+
+/**
+ * Each player's first entry in board order, which is their best one when
+ * the entries are sorted
+ */
+export function bestEntries(players) {
+  const seen = new Set();
+
+  return players.filter(player => {
+    if (seen.has(player.userId)) return false;
+    seen.add(player.userId);
+    return true;
+  });
+}
+
+/**
+ * Map each entry's key to its 1-based position within its section
+ */
+export function sectionPositions(players, game) {
+  const positions = new Map();
+
+  for (const { players: entries } of groupBySection(players, game)) {
+    entries.forEach((player, i) => positions.set(getPlayerKey(player, game), i + 1));
+  }
+
+  return positions;
+}
+
+export default {
+  getSection,
+  groupBySection,
+  bestEntries,
+  sectionPositions
+};
@@ -1,44 +1,170 @@
 /**
  * Storage Module - Message-as-Database
  * Encodes and decodes player data within Discord webhook messages
+ *
+ * v2 blocks are deflated JSON, base64-encoded with a checksum and hidden in
+ * a spoiler: ||[DATA:v2:<checksum>]<base64>[/DATA]||
+ * v1 blocks (pipe-delimited plaintext) are still read and rewritten as v2.
  */
 
-const DATA_VERSION = 'v1';
-const DATA_START_MARKER = `[DATA:${DATA_VERSION}]`;
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { createHash } from 'crypto';
+import { getGame, getStandingFields, getPlayerKey } from './games/index.js';
+import { peakOf, historyPeak, trackPeak } from './peaks.js';
+import { resolveName } from './names.js';
+import { getTierModel } from './ranks.js';
+
+const DATA_VERSION = 'v2';
+export const SCHEMA_VERSION = 5;
+const DATA_START_PATTERN = /\[DATA:(v\d+)(?::([0-9a-f]+))?\]/;
 const DATA_END_MARKER = '[/DATA]';
+const MANIFEST_VERSION = 'v1';
+const MANIFEST_START_MARKER = `[MANIFEST:${MANIFEST_VERSION}]`;
+const MANIFEST_END_MARKER = '[/MANIFEST]';
+
+/**
+ * Schema migrations, keyed by the schema version they upgrade from
+ */
+const MIGRATIONS = {
+  // v1 lines carry no movement/history when written before trends existed
+  1: state => ({
+    ...state,
+    players: state.players.map(player => ({
+      ...player,
+      movement: player.movement ?? null,
+      history: player.history || []
+    }))
+  }),
+
+  // Peaks are tracked from submissions: derive them for players stored before
+  2: state => {
+    const game = getGame(state.gameType);
+    if (!game) return state;
+
+    return {
+      ...state,
+      players: state.players.map(player => trackPeak(player, historyPeak(player.history, game), game))
+    };
+  },
+
+  // Roles and heroes are checked against canonical lists: respell stored ones
+  // ("dps" → "Damage") and merge entries that turn out to be the same
+  3: state => {
+    const game = getGame(state.gameType);
+    if (!game) return state;
+
+    const named = game.fields.filter(field => field.values);
+    const players = state.players.map(player => named.reduce((respelled, field) => ({
+      ...respelled,
+      [field.name]: resolveName(String(player[field.name] ?? ''), field) ?? player[field.name]
+    }), player));
+
+    return { ...state, players: mergeDuplicateEntries(players, game) };
+  },
+
+  // Ranks follow a per-rank tier model: tierless ranks lose the tier 1 they
+  // were stored with, and peaks are re-derived now that Deadlock's tier 6
+  // ranks above tier 1
+  4: state => {
+    const game = getGame(state.gameType);
+    if (!game) return state;
+
+    const rankFields = game.fields.filter(field => field.type === 'rank').map(field => field.name);
+    const withoutTier = rankObj => (rankObj && getTierModel(rankObj.rank, game).kind === 'none'
+      ? { ...rankObj, tier: null }
+      : rankObj);
+
+    return {
+      ...state,
+      players: state.players.map(player => {
+        const normalized = {
+          ...player,
+          ...Object.fromEntries(rankFields.map(name => [name, withoutTier(player[name])])),
+          history: (player.history || []).map(snapshot => ({
+            ...snapshot,
+            rank: withoutTier(snapshot.rank),
+            ...(snapshot.peak ? { peak: { ...snapshot.peak, rank: withoutTier(snapshot.peak.rank) } } : {})
+          }))
+        };
+        return trackPeak(normalized, historyPeak(normalized.history, game), game);
+      })
+    };
+  }
+};
 
 /**
- * Encode player data into storage format
- */
-function encodePlayerData(players, gameType) {
-  return players.map(player => {
-    if (gameType === 'MARVEL_RIVALS' || gameType === 'OVERWATCH') {
-      return [
-        player.userId,
-        player.role || 'Unknown',
-        `${player.currentRank.rank} ${player.currentRank.tier}`,
-        player.currentValue,
-        `${player.peakRank.rank} ${player.peakRank.tier}`,
-        player.peakValue,
-        player.lastUpdated
-      ].join('|');
-    } else if (gameType === 'DEADLOCK') {
-      return [
-        player.userId,
-        player.heroName || 'Unknown',
-        `${player.currentRank.rank} ${player.currentRank.tier}`,
-        player.currentValue,
-        player.lastUpdated
-      ].join('|');
+ * Keep the newest entry when several share a player key
+ */
+function mergeDuplicateEntries(players, game) {
+  const newest = new Map();
+
+  for (const player of players) {
+    const key = getPlayerKey(player, game);
+    const kept = newest.get(key);
+    if (!kept || new Date(player.lastUpdated) > new Date(kept.lastUpdated)) {
+      newest.set(key, player);
     }
-  }).join('\n');
+  }
+
+  const kept = new Set(newest.values());
+  return players.filter(player => kept.has(player));
+}
+
+/**
+ * Decode a "Rank tier" string
+ * Rank names may contain spaces ("One Above All 1"), the tier is the last word
+ */
+function decodeRank(raw) {
+  const splitAt = raw.lastIndexOf(' ');
+  return { rank: raw.substring(0, splitAt), tier: parseInt(raw.substring(splitAt + 1), 10) };
+}
+
+/**
+ * Decode a single column value by its field type
+ */
+function decodeColumn(raw, column, game) {
+  const field = game.fields.find(f => f.name === column);
+
+  if (field?.type === 'rank') {
+    return decodeRank(raw);
+  }
+  if (field?.type === 'value') {
+    return parseInt(raw, 10);
+  }
+
+  return raw;
 }
 
 /**
- * Decode player data from storage format
+ * Decode v1 rank history snapshots ("Rank tier~value~YYYY-MM-DD" joined by ";")
  */
-function decodePlayerData(dataString, gameType) {
-  if (!dataString || !dataString.trim()) {
+function decodeHistory(raw) {
+  if (!raw) return [];
+
+  return raw.split(';').map(snapshot => {
+    const [rank, value, date] = snapshot.split('~');
+    return {
+      rank: decodeRank(rank),
+      value: parseInt(value, 10),
+      date: new Date(date).toISOString()
+    };
+  });
+}
+
+/**
+ * Decode v1 board movement: empty when unknown, "new" or a signed position change
+ */
+function decodeMovement(raw) {
+  if (!raw) return null;
+  if (raw === 'new') return 'new';
+  return parseInt(raw, 10);
+}
+
+/**
+ * Decode v1 player lines
+ */
+function decodePlayerData(dataString, game) {
+  if (!dataString || !dataString.trim() || !game) {
     return [];
   }
 
@@ -48,114 +174,295 @@ function decodePlayerData(dataString, gameType) {
     .filter(line => line.trim())
     .map(line => {
       const parts = line.split('|');
-      
-      if (gameType === 'MARVEL_RIVALS' || gameType === 'OVERWATCH') {
-        if (parts.length < 7) {
-          console.warn('Invalid data line:', line);
-          return null;
-        }
-
-        const [rankName, tier] = parts[2].split(' ');
-        const [peakRankName, peakTier] = parts[4].split(' ');
-
-        return {
-          userId: parts[0],
-          role: parts[1],
-          currentRank: { rank: rankName, tier: parseInt(tier, 10) },
-          currentValue: parseInt(parts[3], 10),
-          peakRank: { rank: peakRankName, tier: parseInt(peakTier, 10) },
-          peakValue: parseInt(parts[5], 10),
-          lastUpdated: parts[6]
-        };
-      } else if (gameType === 'DEADLOCK') {
-        if (parts.length < 5) {
-          console.warn('Invalid data line:', line);
-          return null;
-        }
-
-        const [rankName, tier] = parts[2].split(' ');
-
-        return {
-          userId: parts[0],
-          heroName: parts[1],
-          currentRank: { rank: rankName, tier: parseInt(tier, 10) },
-          currentValue: parseInt(parts[3], 10),
-          lastUpdated: parts[4]
-        };
+
+      // Columns added to a game after v1 are not in v1 lines
+      const columns = game.v1Storage || game.storage;
+
+      if (parts.length < columns.length) {
+        console.warn('Invalid data line:', line);
+        return null;
       }
+
+      const player = {};
+      columns.forEach((column, i) => {
+        player[column] = decodeColumn(parts[i], column, game);
+      });
+
+      player.movement = decodeMovement(parts[columns.length]);
+      player.history = decodeHistory(parts[columns.length + 1]);
+
+      return player;
     })
     .filter(player => player !== null);
 }
 
+/**
+ * Decode a v1 plaintext block (GAME/LAST header lines, then pipe-delimited players)
+ */
+function decodeV1(dataSection) {
+  const lines = dataSection.trim().split('\n');
+
+  // Parse game type
+  const gameMatch = lines[0]?.match(/^GAME:(.+)$/);
+  const gameType = gameMatch ? gameMatch[1] : null;
+
+  // Parse last processed message ID
+  const lastMatch = lines[1]?.match(/^LAST:(.+)$/);
+  const lastProcessedMessageId = lastMatch && lastMatch[1] !== 'none' ? lastMatch[1] : null;
+
+  // Parse player data
+  const playerDataString = lines.slice(2).join('\n');
+  const players = decodePlayerData(playerDataString, getGame(gameType));
+
+  return { schema: 1, gameType, lastProcessedMessageId, players };
+}
+
+/**
+ * Checksum of an encoded payload
+ */
+function checksum(payload) {
+  return createHash('sha256').update(payload).digest('hex').substring(0, 8);
+}
+
+/**
+ * Keep only the columns a game stores, plus trend data and the source message
+ */
+function serializePlayer(player, game) {
+  const stored = {
+    sourceMessageId: player.sourceMessageId || null,
+    verified: Boolean(player.verified),
+    lastSeason: player.lastSeason || null,
+    activity: player.activity || 'active',
+    reminded: Boolean(player.reminded),
+    movement: player.movement ?? null,
+    history: player.history || []
+  };
+  const columns = game ? game.storage : Object.keys(player);
+
+  for (const column of columns) {
+    stored[column] = player[column];
+  }
+
+  return stored;
+}
+
+/**
+ * Decode a v2 block; throws if the checksum or payload is invalid
+ */
+function decodeV2(dataSection, expectedChecksum) {
+  const payload = dataSection.trim();
+
+  if (checksum(payload) !== expectedChecksum) {
+    throw new Error('checksum mismatch');
+  }
+
+  const json = JSON.parse(inflateRawSync(Buffer.from(payload, 'base64')).toString('utf8'));
+
+  if (!Array.isArray(json.players) || typeof json.schema !== 'number') {
+    throw new Error('malformed payload');
+  }
+
+  return {
+    schema: json.schema,
+    gameType: json.game || null,
+    lastProcessedMessageId: json.last || null,
+    players: json.players
+  };
+}
+
+/**
+ * Bring a decoded state up to the current schema
+ */
+export function migrateState(state) {
+  let migrated = state;
+
+  for (let schema = state.schema; schema < SCHEMA_VERSION; schema++) {
+    const migration = MIGRATIONS[schema];
+    if (!migration) {
+      throw new Error(`no migration from schema ${schema}`);
+    }
+    migrated = { ...migration(migrated), schema: schema + 1 };
+  }
+
+  return migrated;
+}
+
 /**
  * Encode complete state
  */
 export function encodeState(lastProcessedMessageId, players, gameType) {
-  const lines = [
-    DATA_START_MARKER,
-    `GAME:${gameType}`,
-    `LAST:${lastProcessedMessageId || 'none'}`,
-    encodePlayerData(players, gameType),
-    DATA_END_MARKER
-  ];
-  
-  return lines.join('\n');
+  const game = getGame(gameType);
+  const json = JSON.stringify({
+    schema: SCHEMA_VERSION,
+    game: gameType,
+    last: lastProcessedMessageId || null,
+    players: players.map(player => serializePlayer(player, game))
+  });
+
+  const payload = deflateRawSync(Buffer.from(json, 'utf8')).toString('base64');
+
+  return `||[DATA:${DATA_VERSION}:${checksum(payload)}]${payload}${DATA_END_MARKER}||`;
 }
 
 /**
  * Decode complete state from webhook message content
+ * `version` is the block version that was read ('v1', 'v2' or null when there
+ * is no block). `corrupted` is set when a block exists but cannot be trusted;
+ * callers must not overwrite it.
  */
 export function decodeState(messageContent) {
+  const emptyState = {
+    gameType: null,
+    lastProcessedMessageId: null,
+    players: [],
+    version: null,
+    corrupted: false
+  };
+
   if (!messageContent) {
-    return {
-      gameType: null,
-      lastProcessedMessageId: null,
-      players: []
-    };
+    return emptyState;
   }
 
-  const startIdx = messageContent.indexOf(DATA_START_MARKER);
-  const endIdx = messageContent.indexOf(DATA_END_MARKER);
+  const startMatch = messageContent.match(DATA_START_PATTERN);
+  if (!startMatch) {
+    return emptyState;
+  }
 
-  if (startIdx === -1 || endIdx === -1) {
-    return {
-      gameType: null,
-      lastProcessedMessageId: null,
-      players: []
-    };
+  const [marker, version, expectedChecksum] = startMatch;
+  const startIdx = startMatch.index + marker.length;
+  const endIdx = messageContent.indexOf(DATA_END_MARKER, startIdx);
+
+  if (endIdx === -1) {
+    console.warn('Corrupted data block: missing end marker');
+    return { ...emptyState, version, corrupted: true };
   }
 
-  const dataSection = messageContent.substring(
-    startIdx + DATA_START_MARKER.length,
+  const dataSection = messageContent.substring(startIdx, endIdx);
+
+  try {
+    let decoded;
+    if (version === 'v1') {
+      decoded = decodeV1(dataSection);
+    } else if (version === 'v2') {
+      decoded = decodeV2(dataSection, expectedChecksum);
+    } else {
+      throw new Error(`unsupported version ${version}`);
+    }
+
+    const { gameType, lastProcessedMessageId, players } = migrateState(decoded);
+    return { gameType, lastProcessedMessageId, players, version, corrupted: false };
+  } catch (error) {
+    console.warn(`Corrupted ${version} data block: ${error.message}`);
+    return { ...emptyState, version, corrupted: true };
+  }
+}
+
+/**
+ * Encode the manifest that lists a leaderboard's shard messages in order,
+ * the update messages still awaiting verification, the season the board
+ * belongs to, the archive of the previous season and the keys of recent
+ * announcements (see announcements.js)
+ */
+export function encodeManifest(lastProcessedMessageId, gameType, shardIds, board = {}) {
+  const {
+    pendingIds = [],
+    season = null,
+    archive = null,
+    announced = []
+  } = board;
+
+  const lines = [
+    MANIFEST_START_MARKER,
+    `GAME:${gameType}`,
+    `LAST:${lastProcessedMessageId || 'none'}`,
+    `SHARDS:${shardIds.join(',')}`,
+    `PENDING:${pendingIds.join(',')}`,
+    `SEASON:${season || ''}`,
+    `ARCHIVE:${archive ? `${archive.season}|${archive.shardIds.join(',')}` : ''}`,
+    `ANNOUNCED:${announced.join(',')}`,
+    MANIFEST_END_MARKER
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Decode a manifest from webhook message content
+ * Lines are read by key, so manifests written before a key existed still load.
+ * Returns null when the message is not a manifest (e.g. a single-message board)
+ */
+export function decodeManifest(messageContent) {
+  if (!messageContent) return null;
+
+  const startIdx = messageContent.indexOf(MANIFEST_START_MARKER);
+  const endIdx = messageContent.indexOf(MANIFEST_END_MARKER);
+
+  if (startIdx === -1 || endIdx === -1) return null;
+
+  const values = new Map(messageContent.substring(
+    startIdx + MANIFEST_START_MARKER.length,
     endIdx
-  ).trim();
+  ).trim().split('\n').map(line => {
+    const splitAt = line.indexOf(':');
+    return [line.substring(0, splitAt), line.substring(splitAt + 1)];
+  }));
 
-  const lines = dataSection.split('\n');
-  
-  // Parse game type
-  const gameMatch = lines[0]?.match(/^GAME:(.+)$/);
-  const gameType = gameMatch ? gameMatch[1] : null;
-  
-  // Parse last processed message ID
-  const lastMatch = lines[1]?.match(/^LAST:(.+)$/);
-  const lastProcessedMessageId = lastMatch && lastMatch[1] !== 'none' ? lastMatch[1] : null;
+  const list = key => (values.get(key) ? values.get(key).split(',') : []);
+  const last = values.get('LAST');
+  const [archiveSeason, archiveShards] = (values.get('ARCHIVE') || '').split('|');
 
-  // Parse player data
-  const playerDataString = lines.slice(2).join('\n');
-  const players = decodePlayerData(playerDataString, gameType);
+  return {
+    gameType: values.get('GAME') || null,
+    lastProcessedMessageId: last && last !== 'none' ? last : null,
+    shardIds: list('SHARDS'),
+    pendingIds: list('PENDING'),
+    season: values.get('SEASON') || null,
+    archive: archiveSeason ? { season: archiveSeason, shardIds: archiveShards ? archiveShards.split(',') : [] } : null,
+    announced: list('ANNOUNCED')
+  };
+}
+
+/**
+ * Combine a manifest and its shard contents into one state
+ * Shards are concatenated in manifest order, which is board order.
+ */
+export function mergeShardStates(manifest, shardContents) {
+  const shardStates = shardContents.map(content => decodeState(content));
+
+  // A missing shard or one without a readable block means players would be lost
+  const corrupted = shardStates.some((state, i) => !shardContents[i] || state.corrupted || !state.version);
+  const game = getGame(manifest.gameType);
+  const players = shardStates.flatMap(state => state.players);
 
   return {
-    gameType,
-    lastProcessedMessageId,
-    players
+    gameType: manifest.gameType,
+    lastProcessedMessageId: manifest.lastProcessedMessageId,
+    // Shards are migrated one by one, so duplicates can span two of them
+    players: game ? mergeDuplicateEntries(players, game) : players,
+    shardIds: manifest.shardIds,
+    pendingIds: manifest.pendingIds,
+    season: manifest.season,
+    archive: manifest.archive,
+    announced: manifest.announced,
+    version: shardStates.find(state => state.version)?.version || null,
+    corrupted
   };
 }
 
 /**
  * Update player in the players array
+ * Entries are matched by getPlayerKey, so sectioned games keep one per section.
+ * The replaced entry is kept as a history snapshot, bounded by options.historyLimit.
+ * The peak is derived from the player's reports (see peaks.js).
  */
-export function upsertPlayer(players, newPlayerData) {
-  const existingIndex = players.findIndex(p => p.userId === newPlayerData.userId);
+export function upsertPlayer(players, newPlayerData, options = {}) {
+  const {
+    historyLimit = 3
+  } = options;
+
+  const game = getGame(newPlayerData.game);
+  const key = getPlayerKey(newPlayerData, game);
+  const existingIndex = players.findIndex(p => getPlayerKey(p, game) === key);
 
   if (existingIndex >= 0) {
     // Check if new data is newer
@@ -167,12 +474,33 @@ export function upsertPlayer(players, newPlayerData) {
       return { players, updated: false };
     }
 
-    // Update existing player
-    players[existingIndex] = { ...newPlayerData };
+    // Update existing player, keeping the previous standing as history
+    const existing = players[existingIndex];
+    const history = [...(existing.history || [])];
+
+    if (game) {
+      const standing = getStandingFields(game);
+      history.push({
+        rank: existing[standing.rank],
+        value: existing[standing.value],
+        date: existing.lastUpdated,
+        source: existing.sourceMessageId || null,
+        verified: Boolean(existing.verified),
+        peak: peakOf(existing, game)
+      });
+    }
+
+    const updated = {
+      ...newPlayerData,
+      movement: existing.movement,
+      history: historyLimit > 0 ? history.slice(-historyLimit) : []
+    };
+    players[existingIndex] = game ? trackPeak(updated, peakOf(existing, game), game) : updated;
     return { players, updated: true };
   } else {
     // Add new player
-    players.push(newPlayerData);
+    const added = { ...newPlayerData, movement: 'new', history: [] };
+    players.push(game ? trackPeak(added, null, game) : added);
     return { players, updated: true };
   }
 }
@@ -180,5 +508,9 @@ export function upsertPlayer(players, newPlayerData) {
 export default {
   encodeState,
   decodeState,
+  migrateState,
+  encodeManifest,
+  decodeManifest,
+  mergeShardStates,
   upsertPlayer
 };
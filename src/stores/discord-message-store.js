@@ -0,0 +1,112 @@
+import { decodeState, decodeManifest, mergeShardStates } from '../storage.js';
+
+/**
+ * Discord Message Store
+ * Reads state from the leaderboard's manifest message and its shards.
+ * Saving is a no-op: the published board already embeds the encoded state.
+ */
+
+class DiscordMessageStore {
+  constructor(discord) {
+    this.discord = discord;
+    this.name = 'discord';
+  }
+
+  emptyState() {
+    return {
+      gameType: null,
+      lastProcessedMessageId: null,
+      players: [],
+      messageId: null,
+      shardIds: [],
+      pendingIds: [],
+      season: null,
+      archive: null,
+      announced: [],
+      previousSeason: null,
+      version: null,
+      corrupted: false
+    };
+  }
+
+  /**
+   * Load a game's stored state from its manifest message and shards.
+   * A board saved as a single message (no manifest) is read as-is and
+   * becomes sharded on the next write.
+   */
+  async load(game) {
+    const persistentMessageId = game.persistentMessageId;
+
+    if (!persistentMessageId) {
+      console.log(`   No persistent message ID, starting fresh`);
+      return this.emptyState();
+    }
+
+    const messageContent = await this.discord.fetchWebhookMessage(game.webhookUrl, persistentMessageId);
+
+    if (!messageContent) {
+      console.log(`   Message not found, starting fresh`);
+      return this.emptyState();
+    }
+
+    let state;
+    const manifest = decodeManifest(messageContent);
+
+    if (manifest) {
+      const shardContents = [];
+      for (const shardId of manifest.shardIds) {
+        const content = await this.discord.fetchWebhookMessage(game.webhookUrl, shardId);
+        if (!content) {
+          console.warn(`   ⚠️  Shard ${shardId} is missing`);
+        }
+        shardContents.push(content);
+      }
+
+      state = mergeShardStates(manifest, shardContents);
+      console.log(`   Loaded ${manifest.shardIds.length} shard(s)`);
+    } else {
+      state = { ...decodeState(messageContent), shardIds: [], pendingIds: [], season: null, archive: null, announced: [] };
+    }
+
+    if (state.corrupted) {
+      throw new Error(
+        `Stored leaderboard state is corrupted, refusing to overwrite it. ` +
+        `Restore the message or clear GAME_${game.type}_MESSAGE_ID to start fresh`
+      );
+    }
+
+    if (state.version && state.version !== 'v2') {
+      console.log(`   Stored as ${state.version}, will be rewritten as v2`);
+    }
+
+    const previousSeason = state.archive ? await this.loadArchive(game, state.archive) : null;
+
+    return { ...state, previousSeason, messageId: persistentMessageId };
+  }
+
+  /**
+   * Load the final standings of an archived season
+   * A damaged archive only loses the previous-season column, so it warns
+   * instead of failing the sync.
+   */
+  async loadArchive(game, archive) {
+    const webhookUrl = game.archiveWebhookUrl || game.webhookUrl;
+    const shardContents = [];
+    for (const shardId of archive.shardIds) {
+      shardContents.push(await this.discord.fetchWebhookMessage(webhookUrl, shardId));
+    }
+
+    const archived = mergeShardStates(archive, shardContents);
+    if (archived.corrupted) {
+      console.warn(`   ⚠️  Archive of ${archive.season} is incomplete`);
+    }
+
+    return { name: archive.season, players: archived.players };
+  }
+
+  async save() {
+    return false;
+  }
+}
+
+export default DiscordMessageStore;
@@ -0,0 +1,119 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { migrateState, SCHEMA_VERSION } from '../storage.js';
+
+/**
+ * File Store
+ * Keeps every game's state in a local JSON file, so a deleted leaderboard
+ * message no longer loses players, history or the sync cursor. Games that
+ * have no entry yet are loaded from the fallback store once.
+ */
+
+const FILE_VERSION = 1;
+
+class FileStore {
+  constructor(filePath, fallback = null) {
+    this.filePath = path.resolve(filePath);
+    this.fallback = fallback;
+    this.name = 'file';
+  }
+
+  read() {
+    if (!existsSync(this.filePath)) {
+      return { version: FILE_VERSION, games: {} };
+    }
+
+    const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+    if (data.version !== FILE_VERSION || typeof data.games !== 'object') {
+      throw new Error(`Unsupported state file format in ${this.filePath}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Write via a temporary file so a crash never leaves a half-written state
+   */
+  write(data) {
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    renameSync(tmpPath, this.filePath);
+  }
+
+  async load(game) {
+    const entry = this.read().games[game.type];
+
+    if (!entry) {
+      if (this.fallback) {
+        console.log(`   No entry in ${this.filePath}, importing from ${this.fallback.name} store`);
+        return this.fallback.load(game);
+      }
+
+      return {
+        gameType: game.type,
+        lastProcessedMessageId: null,
+        players: [],
+        messageId: game.persistentMessageId || null,
+        shardIds: [],
+        pendingIds: [],
+        season: null,
+        archive: null,
+        announced: [],
+        previousSeason: null
+      };
+    }
+
+    console.log(`   Loaded from ${this.filePath}`);
+
+    // Entries written before the schema was recorded are schema 2
+    const { players } = migrateState({
+      schema: entry.schema ?? 2,
+      gameType: game.type,
+      players: entry.players || []
+    });
+
+    return {
+      gameType: game.type,
+      lastProcessedMessageId: entry.lastProcessedMessageId || null,
+      players,
+      messageId: entry.messageId || game.persistentMessageId || null,
+      shardIds: entry.shardIds || [],
+      pendingIds: entry.pendingIds || [],
+      season: entry.season || null,
+      archive: entry.archive || null,
+      announced: entry.announced || [],
+      previousSeason: entry.archives?.length > 0 ? entry.archives[entry.archives.length - 1] : null
+    };
+  }
+
+  async save(game, state) {
+    const data = this.read();
+    const archives = data.games[game.type]?.archives || [];
+
+    // Keep every finished season, not only the one before the current board
+    if (state.previousSeason && !archives.some(a => a.name === state.previousSeason.name)) {
+      archives.push({ ...state.previousSeason, archivedAt: new Date().toISOString() });
+    }
+
+    data.games[game.type] = {
+      lastProcessedMessageId: state.lastProcessedMessageId || null,
+      messageId: state.messageId || null,
+      shardIds: state.shardIds || [],
+      pendingIds: state.pendingIds || [],
+      season: state.season || null,
+      archive: state.archive || null,
+      announced: state.announced || [],
+      archives,
+      schema: SCHEMA_VERSION,
+      players: state.players,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.write(data);
+    return true;
+  }
+}
+
+export default FileStore;
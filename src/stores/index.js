@@ -0,0 +1,57 @@
+/**
+ * State Store Selection
+ * Every store implements:
+ *   load(game)        → { gameType, lastProcessedMessageId, players, messageId, shardIds, pendingIds,
+ *                         season, archive, announced, previousSeason }
+ *   save(game, state) → persists the same shape (may be a no-op)
+ */
+
+import DiscordMessageStore from './discord-message-store.js';
+import FileStore from './file-store.js';
+import SqliteStore, { loadSqlite } from './sqlite-store.js';
+
+/**
+ * Path part of a file: or sqlite: URL (file:///abs/path → /abs/path)
+ */
+function urlPath(databaseUrl, scheme) {
+  return databaseUrl.substring(scheme.length).replace(/^\/\/(?=\/)/, '');
+}
+
+/**
+ * Create the store selected by DATABASE_URL
+ * - unset                → state lives in the Discord leaderboard messages
+ * - file:./state.json    → local JSON file (Discord messages still mirror it)
+ * - sqlite:./state.db    → local SQLite database (Node 22.5+)
+ * Any other scheme (e.g. a postgresql: URL from an old .env) logs a warning
+ * and keeps the state in the Discord messages.
+ */
+export function createStore(databaseUrl, discord) {
+  const messageStore = new DiscordMessageStore(discord);
+
+  if (!databaseUrl) {
+    return messageStore;
+  }
+
+  if (databaseUrl.startsWith('file:')) {
+    return new FileStore(urlPath(databaseUrl, 'file:'), messageStore);
+  }
+
+  if (databaseUrl.startsWith('sqlite:')) {
+    const sqlite = loadSqlite();
+    if (sqlite) {
+      return new SqliteStore(urlPath(databaseUrl, 'sqlite:'), messageStore, sqlite);
+    }
+    console.warn(`⚠️  DATABASE_URL is sqlite: but this Node version (${process.version}) has no node:sqlite, using Discord messages`);
+    return messageStore;
+  }
+
+  const scheme = databaseUrl.split(':')[0];
+  console.warn(`⚠️  Unsupported DATABASE_URL scheme "${scheme}:" (supported: file:, sqlite:), using Discord messages`);
+  return messageStore;
+}
+
+export { DiscordMessageStore, FileStore, SqliteStore };
+
+export default {
+  createStore
+};
@@ -0,0 +1,70 @@
+import { createRequire } from 'module';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import FileStore from './file-store.js';
+
+/**
+ * SQLite Store
+ * Same entries as the file store, one row per game, in a SQLite database
+ * through Node's built-in node:sqlite (Node 22.5 or later).
+ */
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load node:sqlite, or null when this Node version does not have it
+ */
+export function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    return null;
+  }
+}
+
+class SqliteStore extends FileStore {
+  constructor(filePath, fallback = null, sqlite = loadSqlite()) {
+    super(filePath, fallback);
+    this.name = 'sqlite';
+
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS games (
+        game_type TEXT PRIMARY KEY,
+        entry TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  read() {
+    const rows = this.db.prepare('SELECT game_type, entry FROM games').all();
+    return {
+      games: Object.fromEntries(rows.map(row => [row.game_type, JSON.parse(row.entry)]))
+    };
+  }
+
+  /**
+   * Write every game's entry in one transaction
+   */
+  write(data) {
+    const upsert = this.db.prepare(`
+      INSERT INTO games (game_type, entry, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (game_type) DO UPDATE SET entry = excluded.entry, updated_at = excluded.updated_at
+    `);
+
+    this.db.exec('BEGIN');
+    try {
+      for (const [gameType, entry] of Object.entries(data.games)) {
+        upsert.run(gameType, JSON.stringify(entry), new Date().toISOString());
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+export default SqliteStore;
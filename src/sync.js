@@ -1,11 +1,51 @@
 import dotenv from 'dotenv';
 import DiscordIntegration from './discord.js';
 import { parseMultipleUpdates, sortPlayers } from './parser.js';
-import { decodeState, upsertPlayer } from './storage.js';
-import { renderLeaderboard, validateMessageLength, truncateIfNeeded } from './renderer.js';
+import { getAllGames, getGame, getStandingFields, getPlayerKey } from './games/index.js';
+import { reconcilePlayer, reconcilePlayers, rollbackPlayer } from './reconcile.js';
+import { loadSubmissionPolicy, needsAuthorRoles, authorizeUpdate } from './permissions.js';
+import {
+  loadVerificationConfig,
+  hasScreenshot,
+  reviewDecision,
+  APPROVE_EMOJI,
+  REJECT_EMOJI,
+  PENDING_EMOJI,
+  MAX_PENDING
+} from './verification.js';
+import { loadAnomalyConfig, checkPlausibility } from './anomalies.js';
+import { findSeason, getSeasonAt, hasSeasonEnded, isBeforeSeason } from './seasons.js';
+import { loadInactivityConfig, arrangeByActivity, hasActivityChanged, getReminderDue } from './inactivity.js';
+import { sectionPositions } from './sections.js';
+import { DAY_MS, loadDateConfig } from './dates.js';
+import { upsertPlayer } from './storage.js';
+import { loadRenderConfig, renderEmbedManifest, paginateEmbeds } from './embeds.js';
+import { loadCardConfig, cardEntries, loadAvatars, renderCardFile, attachCard } from './cards.js';
+import { writeExport } from './export.js';
+import { loadOverviewConfig, renderOverview } from './overview.js';
+import { loadAnnouncementConfig, detectAnnouncements, selectAnnouncements, renderAnnouncement } from './announcements.js';
+import { renderManifest, renderSeasonFinal, paginatePlayers, renderParseError, validateMessageLength } from './renderer.js';
+import { createStore } from './stores/index.js';
 
 dotenv.config();
 
+const DEFAULT_MAX_MESSAGES = 500;
+
+/**
+ * Read MAX_MESSAGES_PER_SYNC; anything but a positive whole number would
+ * fetch nothing and never catch up, so it falls back to the default
+ */
+function loadMessageBudget(env = process.env) {
+  const raw = env.MAX_MESSAGES_PER_SYNC;
+  if (raw === undefined || raw === '') return DEFAULT_MAX_MESSAGES;
+
+  const budget = Number(raw);
+  if (Number.isInteger(budget) && budget > 0) return budget;
+
+  console.warn(`⚠️  Invalid MAX_MESSAGES_PER_SYNC "${raw}", using ${DEFAULT_MAX_MESSAGES}`);
+  return DEFAULT_MAX_MESSAGES;
+}
+
 /**
  * Main Sync Script for Multi-Game Leaderboards
  */
@@ -13,8 +53,14 @@ dotenv.config();
 class LeaderboardSync {
   constructor() {
     this.discord = null;
+    this.store = null;
     this.games = [];
+    this.states = new Map();
     this.persistentMessageIds = new Map();
+    this.overview = null;
+    // Set when a board changes, so the hall of fame is only redrawn after one does
+    this.overviewStale = false;
+    this.maxMessages = loadMessageBudget();
   }
 
   async initialize() {
@@ -25,8 +71,16 @@ class LeaderboardSync {
     this.discord = new DiscordIntegration(process.env.DISCORD_BOT_TOKEN);
     await this.discord.connect();
 
+    this.store = createStore(process.env.DATABASE_URL, this.discord);
+    console.log(`✓ Using ${this.store.name} state store`);
+
     this.loadGameConfigurations();
 
+    this.overview = loadOverviewConfig();
+    if (this.overview) {
+      console.log(`✓ Hall of fame enabled (players on ${this.overview.minGames}+ games)`);
+    }
+
     console.log('✓ Initialization complete\n');
   }
 
@@ -37,18 +91,15 @@ class LeaderboardSync {
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
+
+    // Fail on a bad DISPLAY_TIMEZONE / DATE_ORDER now rather than mid-sync
+    loadDateConfig();
   }
 
   loadGameConfigurations() {
     console.log('📋 Loading game configurations...');
 
-    const gameTypes = {
-      'MARVEL_RIVALS': 'Marvel Rivals',
-      'OVERWATCH': 'Overwatch',
-      'DEADLOCK': 'Deadlock'
-    };
-
-    for (const [gameKey, gameName] of Object.entries(gameTypes)) {
+    for (const { key: gameKey, name: gameName } of getAllGames()) {
       const channelId = process.env[`GAME_${gameKey}_CHANNEL_ID`];
       const webhookUrl = process.env[`GAME_${gameKey}_WEBHOOK_URL`];
       const messageId = process.env[`GAME_${gameKey}_MESSAGE_ID`];
@@ -58,15 +109,34 @@ class LeaderboardSync {
         continue;
       }
 
+      const policy = loadSubmissionPolicy(gameKey);
+      const verification = loadVerificationConfig(gameKey, policy);
+      const anomalies = loadAnomalyConfig(gameKey, policy);
+      const inactivity = loadInactivityConfig(gameKey);
+      const render = loadRenderConfig(gameKey);
+      const card = loadCardConfig(gameKey);
+      const announcements = loadAnnouncementConfig(gameKey);
+
       this.games.push({
         type: gameKey,
         name: gameName,
         channelId,
         webhookUrl,
-        persistentMessageId: messageId || null
+        persistentMessageId: messageId || null,
+        archiveWebhookUrl: process.env[`GAME_${gameKey}_ARCHIVE_WEBHOOK_URL`] || webhookUrl,
+        policy,
+        verification,
+        anomalies,
+        inactivity,
+        render,
+        card,
+        announcements
       });
 
-      console.log(`  ✓ ${gameName}: Channel ${channelId}`);
+      const verified = verification.enabled ? ', verified mode' : '';
+      const embeds = render.mode === 'embed' ? ', embeds' : '';
+      const announced = announcements ? ', announcements' : '';
+      console.log(`  ✓ ${gameName}: Channel ${channelId} (submit policy: ${policy.mode}${verified}${embeds}${announced})`);
     }
 
     if (this.games.length === 0) {
@@ -76,6 +146,98 @@ class LeaderboardSync {
     console.log(`\n✓ Loaded ${this.games.length} game(s)\n`);
   }
 
+  /**
+   * Write the sorted board: a new set of shards first, then the manifest that
+   * lists them, then delete the old set. A failure part-way leaves the
+   * manifest pointing at a complete set of shards, old or new.
+   * On a fresh board the manifest is created up front so it sits above its shards.
+   * In embed mode the messages are embeds; the encoded state stays in the content.
+   */
+  async publishBoard(game, state) {
+    const { players: sortedPlayers, lastProcessedMessageId: lastMessageId } = state;
+    const board = { pendingIds: state.pendingIds, season: state.season, archive: state.archive, announced: state.announced };
+    const embeds = game.render?.mode === 'embed';
+    let manifestId = state.messageId;
+    let created = false;
+
+    const renderBoardManifest = (players, shardIds) => (embeds
+      ? renderEmbedManifest(game.name, players, lastMessageId, game.type, shardIds, board, game.render)
+      : renderManifest(game.name, players, lastMessageId, game.type, shardIds, board));
+
+    if (!manifestId) {
+      const placeholder = renderBoardManifest([], []);
+      manifestId = await this.discord.sendLeaderboardMessage(game.webhookUrl, placeholder);
+      created = true;
+    }
+
+    const shardContents = embeds
+      ? paginateEmbeds(sortedPlayers, lastMessageId, game.type, game.render)
+      : paginatePlayers(sortedPlayers, lastMessageId, game.type);
+    const shardIds = await this.discord.postShardMessages(game.webhookUrl, shardContents);
+    console.log(`   ${sortedPlayers.length} players across ${shardIds.length} shard(s)`);
+
+    const manifest = renderBoardManifest(sortedPlayers, shardIds);
+    validateMessageLength(embeds ? manifest.content : manifest);
+
+    const card = await this.renderCard(game, sortedPlayers, board);
+    const message = card ? attachCard(manifest, card) : manifest;
+
+    let result;
+    try {
+      result = await this.discord.upsertLeaderboardMessage(game.webhookUrl, manifestId, message);
+    } catch (error) {
+      await this.discord.deleteWebhookMessages(game.webhookUrl, shardIds);
+      throw error;
+    }
+    created = created || result.action === 'created';
+
+    if (created) {
+      console.log(`✓ Created new message: ${result.messageId}`);
+      console.log(`💡 Add to .env: GAME_${game.type}_MESSAGE_ID=${result.messageId}`);
+      this.persistentMessageIds.set(game.type, result.messageId);
+    } else {
+      console.log(`✓ Updated leaderboard`);
+    }
+
+    await this.discord.deleteWebhookMessages(game.webhookUrl, state.shardIds || []);
+
+    return { messageId: result.messageId, shardIds };
+  }
+
+  /**
+   * Render the leaderboard card for the manifest, or null when cards are off.
+   * A card that fails to render is skipped; the board is still published.
+   */
+  async renderCard(game, players, board) {
+    if (!game.card || game.card.mode === 'off') return null;
+
+    try {
+      const entries = cardEntries(players, game.type, game.card.size);
+      const names = new Map();
+      for (const { userId } of entries) {
+        names.set(userId, await this.discord.resolveUsername(userId));
+      }
+
+      return await renderCardFile(game.name, entries, game.type, game.card, {
+        names,
+        avatars: await loadAvatars(entries.map(p => p.userId), game.card.avatarDir),
+        total: new Set(players.filter(p => p.activity !== 'dropped').map(p => p.userId)).size,
+        season: board.season
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not render the ${game.name} card: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a game's messages after the cursor, at most MAX_MESSAGES_PER_SYNC
+   * of them; `hasMore` is set when a backlog remains
+   */
+  fetchNewMessages(game, afterMessageId) {
+    return this.discord.fetchMessagesSince(game.channelId, afterMessageId, this.maxMessages);
+  }
+
   async syncGame(game) {
     console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
     console.log(`🎮 Syncing ${game.name}...`);
@@ -83,111 +245,758 @@ class LeaderboardSync {
 
     // Fetch current state
     console.log(`📥 Fetching current leaderboard state...`);
-    let currentState = { gameType: null, lastProcessedMessageId: null, players: [] };
-    let persistentMessageId = game.persistentMessageId;
+    const loadedState = await this.store.load(game);
+    console.log(`   Found ${loadedState.players.length} existing players`);
+    console.log(`   Last processed: ${loadedState.lastProcessedMessageId || 'none'}`);
 
-    if (persistentMessageId) {
-      const messageContent = await this.discord.fetchWebhookMessage(
-        game.webhookUrl,
-        persistentMessageId
-      );
+    // Archive the board if its season is over
+    const rolled = await this.rollSeason(game, loadedState);
 
-      if (messageContent) {
-        currentState = decodeState(messageContent);
-        console.log(`   Found ${currentState.players.length} existing players`);
-        console.log(`   Last processed: ${currentState.lastProcessedMessageId || 'none'}`);
-      } else {
-        console.log(`   Message not found, starting fresh`);
-        persistentMessageId = null;
-      }
-    } else {
-      console.log(`   No persistent message ID, starting fresh`);
-    }
+    // Re-check source messages for edits and deletions
+    const reconciled = await this.reconcileGame(game, rolled.state);
+    const reconciledState = {
+      ...rolled.state,
+      players: reconciled.players,
+      pendingIds: await this.holdEdits(game, rolled.state.pendingIds || [], reconciled.held)
+    };
+    const reconcileChanges = reconciled.edited + reconciled.rolledBack + reconciled.removed + reconciled.held.length;
+
+    // Apply moderator decisions on updates awaiting verification
+    const reviewed = await this.reviewPending(game, reconciledState);
+    // Warn players whose entry is about to go stale
+    const reminded = await this.sendStaleReminders(game, reviewed.state);
+    const currentState = reminded.state;
+    const boardChanges = reconcileChanges + reviewed.approved;
+
+    // Entries going stale or dropping out change the board without any update
+    const activityChanged = hasActivityChanged(currentState.players, game.inactivity);
 
     // Fetch new messages
     console.log(`\n📨 Fetching new messages...`);
-    const maxMessages = parseInt(process.env.MAX_MESSAGES_PER_SYNC || '100', 10);
-    const messages = await this.discord.fetchMessages(
-      game.channelId,
-      currentState.lastProcessedMessageId,
-      maxMessages
-    );
+    const { messages, hasMore } = await this.fetchNewMessages(game, currentState.lastProcessedMessageId);
 
-    if (messages.length === 0) {
+    const housekeeping = reviewed.decided > 0 || reminded.count > 0 || rolled.changed || activityChanged;
+    if (messages.length === 0 && boardChanges === 0 && !housekeeping) {
       console.log('   No new messages');
-      return { processed: 0, updated: 0, failed: 0, skipped: 0 };
+      this.states.set(game.type, currentState);
+      return {
+        processed: 0,
+        updated: 0,
+        failed: 0,
+        rejected: 0,
+        flagged: 0,
+        pending: currentState.pendingIds.length,
+        skipped: 0,
+        totalPlayers: currentState.players.length,
+        backlog: hasMore
+      };
+    }
+
+    // Parse and apply messages
+    const applied = await this.applyMessages(game, currentState, messages);
+    await this.sendParseFeedback(game, applied.parseResults);
+
+    // Render and publish leaderboard
+    console.log(`\n📊 Rendering leaderboard...`);
+    await this.saveState(game, applied.state);
+
+    return {
+      processed: messages.length,
+      updated: applied.updated + boardChanges,
+      failed: applied.parseResults.failed.length,
+      rejected: applied.parseResults.rejected.length + reviewed.rejected,
+      flagged: applied.parseResults.flagged.length,
+      pending: applied.state.pendingIds.length,
+      skipped: applied.parseResults.skipped,
+      totalPlayers: applied.state.players.length,
+      backlog: hasMore
+    };
+  }
+
+  /**
+   * Archive a board whose season has ended and start a fresh one for the
+   * current season (or no season, between seasons). A board from before
+   * seasons were configured is adopted by the current season instead.
+   * A rolled board is saved before this returns.
+   * Returns { state, changed }
+   */
+  async rollSeason(game, state) {
+    const definition = getGame(game.type);
+    const current = getSeasonAt(definition)?.name || null;
+
+    if (!state.season) {
+      if (!current) return { state, changed: false };
+
+      console.log(`\n📅 Board is now tracking ${current}`);
+      return { state: { ...state, season: current }, changed: true };
+    }
+
+    if (!hasSeasonEnded(definition, state.season)) {
+      return { state, changed: false };
+    }
+
+    console.log(`\n🏁 ${state.season} has ended, archiving ${state.players.length} players...`);
+    const season = findSeason(definition, state.season) || { name: state.season };
+
+    const posted = [];
+    let rolled;
+
+    try {
+      posted.push(await this.discord.sendLeaderboardMessage(
+        game.archiveWebhookUrl,
+        renderSeasonFinal(game.name, season, state.players, game.type)
+      ));
+      const shardIds = await this.discord.postShardMessages(
+        game.archiveWebhookUrl,
+        paginatePlayers(state.players, state.lastProcessedMessageId, game.type)
+      );
+      posted.push(...shardIds);
+
+      // Saved right away with the archive IDs: a failure later in this sync
+      // must not leave the old season on the board to be archived again
+      rolled = await this.saveState(game, {
+        ...state,
+        players: [],
+        pendingIds: [],
+        season: current,
+        archive: { season: state.season, shardIds },
+        previousSeason: { name: state.season, players: state.players }
+      });
+    } catch (error) {
+      // Nothing points at the archive yet, so the next sync can post it afresh
+      await this.discord.deleteWebhookMessages(game.archiveWebhookUrl, posted);
+      throw error;
+    }
+
+    const dropped = (state.pendingIds || []).length;
+    if (dropped > 0) {
+      console.log(`   Dropped ${dropped} pending update(s) from ${state.season}`);
+    }
+
+    console.log(`   ✓ Archived; starting ${current ? `${current} with ` : ''}a fresh board`);
+
+    return { state: rolled, changed: true };
+  }
+
+  /**
+   * Reconcile players whose source message falls inside the reconcile window
+   * (RECONCILE_WINDOW_DAYS, 0 disables it)
+   */
+  async reconcileGame(game, state) {
+    const windowDays = parseInt(process.env.RECONCILE_WINDOW_DAYS || '14', 10);
+    const unchanged = { players: state.players, edited: 0, rolledBack: 0, removed: 0, held: [] };
+
+    if (windowDays <= 0 || state.players.length === 0) {
+      return unchanged;
+    }
+
+    console.log(`\n🔁 Checking source messages for edits and deletions...`);
+    const result = await reconcilePlayers(
+      state.players,
+      getGame(game.type),
+      messageId => this.discord.fetchChannelMessage(game.channelId, messageId),
+      {
+        since: Date.now() - windowDays * DAY_MS,
+        ...this.reconcileOptions(game)
+      }
+    );
+
+    return { ...result, players: sortPlayers(result.players, game.type) };
+  }
+
+  /**
+   * How edits of applied updates are checked: in verified mode they need an
+   * approval, and the anomaly checks apply to them as to new posts
+   */
+  reconcileOptions(game) {
+    const { action, maxDivisionsPerDay } = game.anomalies;
+    const definition = getGame(game.type);
+
+    return {
+      requireApproval: game.verification.enabled,
+      checkEdit: action === 'off'
+        ? null
+        : (entry, player) => checkPlausibility(entry, player, definition, { maxDivisionsPerDay }),
+      holdImplausible: action === 'hold'
+    };
+  }
+
+  /**
+   * Queue edits held by reconciliation for a moderator, like new posts held
+   * by the anomaly checks. Returns the new pending IDs.
+   */
+  async holdEdits(game, pendingIds, held) {
+    const feedback = { successful: [], failed: [], rejected: [], pending: [] };
+    const queued = [...pendingIds];
+
+    for (const edit of held) {
+      if (queued.includes(edit.messageId)) continue;
+
+      if (queued.length >= MAX_PENDING) {
+        feedback.rejected.push({ ...edit, reason: 'it needs a moderator review but the queue is full, try again later' });
+      } else {
+        queued.push(edit.messageId);
+        feedback.pending.push(edit);
+      }
     }
 
-    // Parse messages
+    await this.sendParseFeedback(game, feedback);
+    return queued;
+  }
+
+  /**
+   * Parse messages and apply them to a state, returning the new state with
+   * players sorted and the cursor moved past the last message.
+   * In verified mode, updates are held as pending instead of applied.
+   */
+  async applyMessages(game, currentState, messages) {
     console.log(`\n🔍 Parsing messages...`);
     const parseResults = parseMultipleUpdates(messages, game.type);
+    await this.authorizeUpdates(game, parseResults);
+    this.rejectOutOfSeason(game, parseResults, currentState.season);
+    this.holdForVerification(game, parseResults, currentState.pendingIds || []);
+    this.flagAnomalies(game, parseResults, currentState);
     
     console.log(`   Successful: ${parseResults.successful.length}`);
+    console.log(`   Flagged: ${parseResults.flagged.length}`);
     console.log(`   Failed: ${parseResults.failed.length}`);
+    console.log(`   Rejected: ${parseResults.rejected.length}`);
+    console.log(`   Pending: ${parseResults.pending.length}`);
     console.log(`   Skipped: ${parseResults.skipped}\n`);
 
-    // Process updates
+    const merged = this.mergeUpdates(game, currentState, parseResults.successful);
+
+    // Every message has been processed, so the cursor moves past all of them
+    const lastMessageId = messages.length > 0
+      ? messages[messages.length - 1].id
+      : currentState.lastProcessedMessageId;
+
+    const pendingIds = [
+      ...(currentState.pendingIds || []),
+      ...parseResults.pending.map(update => update.messageId)
+    ];
+
+    return {
+      state: { ...merged.state, lastProcessedMessageId: lastMessageId, pendingIds },
+      updated: merged.updated,
+      parseResults
+    };
+  }
+
+  /**
+   * Upsert parsed updates into a state and sort it, recording how far each
+   * updated player moved compared to the previous board. Announcements found
+   * by the comparison are collected on the state until it is saved.
+   */
+  mergeUpdates(game, currentState, updates, extra = {}) {
     let players = [...currentState.players];
     let updatedCount = 0;
-    let lastMessageId = currentState.lastProcessedMessageId;
+    const definition = getGame(game.type);
+    const updatedKeys = new Set();
+    const historyLimit = parseInt(process.env.HISTORY_LENGTH || '3', 10);
 
-    for (const update of parseResults.successful) {
+    for (const update of updates) {
       try {
-        const result = upsertPlayer(players, update.data);
+        const data = { ...update.data, ...extra, sourceMessageId: update.messageId };
+        const result = upsertPlayer(players, data, { historyLimit });
         players = result.players;
 
         if (result.updated) {
           updatedCount++;
+          updatedKeys.add(getPlayerKey(update.data, definition));
           console.log(`   ✓ Updated ${update.data.userId}`);
         } else {
           console.log(`   ⊘ Skipped older data for ${update.data.userId}`);
         }
-
-        lastMessageId = update.messageId;
       } catch (error) {
         console.error(`   ✗ Error processing update:`, error.message);
       }
     }
 
-    // Sort players
-    const sortedPlayers = sortPlayers(players, game.type);
+    const sortedPlayers = arrangeByActivity(players, game.type, game.inactivity);
 
-    // Render leaderboard
-    console.log(`\n📊 Rendering leaderboard...`);
-    
-    let content = renderLeaderboard(game.name, sortedPlayers, lastMessageId, game.type);
-    
-    if (!validateMessageLength(content)) {
-      console.warn('⚠️  Message too long, truncating...');
-      const truncated = truncateIfNeeded(game.name, sortedPlayers, lastMessageId, game.type);
-      content = truncated.content;
-      if (truncated.truncated) {
-        console.warn(`⚠️  Showing ${truncated.shownCount} of ${sortedPlayers.length} players`);
+    // Sectioned games compare positions within the entry's section
+    const previousPositions = sectionPositions(currentState.players, definition);
+    const positions = sectionPositions(sortedPlayers, definition);
+    sortedPlayers.forEach(player => {
+      const key = getPlayerKey(player, definition);
+      if (updatedKeys.has(key) && previousPositions.has(key)) {
+        player.movement = previousPositions.get(key) - positions.get(key);
       }
-    }
+    });
 
-    // Update webhook
-    const result = await this.discord.upsertLeaderboardMessage(
-      game.webhookUrl,
-      persistentMessageId,
-      content
-    );
+    const announcements = game.announcements
+      ? detectAnnouncements(currentState.players, sortedPlayers, definition, updatedKeys)
+      : [];
 
-    if (result.action === 'created') {
-      console.log(`✓ Created new message: ${result.messageId}`);
-      console.log(`💡 Add to .env: GAME_${game.type}_MESSAGE_ID=${result.messageId}`);
-      this.persistentMessageIds.set(game.type, result.messageId);
-    } else {
-      console.log(`✓ Updated leaderboard`);
+    return {
+      state: {
+        ...currentState,
+        players: sortedPlayers,
+        announcements: [...(currentState.announcements || []), ...announcements]
+      },
+      updated: updatedCount
+    };
+  }
+
+  /**
+   * Reject updates dated before the board's season started: they belong to
+   * a season that has already been archived
+   */
+  rejectOutOfSeason(game, parseResults, seasonName) {
+    const season = seasonName ? findSeason(getGame(game.type), seasonName) : null;
+    if (!season) return parseResults;
+
+    parseResults.successful = parseResults.successful.filter(update => {
+      if (!isBeforeSeason(season, update.data.lastUpdated)) return true;
+
+      const reason = `it is dated before ${season.name} started (${season.start})`;
+      console.warn(`   ⛔ Rejected update for ${update.data.userId}: ${reason}`);
+      parseResults.rejected.push({ ...update, reason });
+      return false;
+    });
+
+    return parseResults;
+  }
+
+  /**
+   * Ping players whose entry goes stale within STALE_REMINDER_DAYS, once per
+   * entry. Returns { state, count }
+   */
+  async sendStaleReminders(game, state) {
+    const due = getReminderDue(state.players, game.inactivity);
+    if (due.length === 0) return { state, count: 0 };
+
+    const definition = getGame(game.type);
+    const userIds = [...new Set(due.map(player => player.userId))];
+    const mentions = userIds.map(id => `<@${id}>`).join(' ');
+
+    try {
+      await this.discord.postChannelMessage(
+        game.channelId,
+        `⏰ ${mentions} your ${game.name} entry goes inactive in ${game.inactivity.reminderDays} days or less. Post an update to stay on the board!`,
+        userIds
+      );
+    } catch (error) {
+      console.warn(`   ⚠️  Could not send stale reminders: ${error.message}`);
+      return { state, count: 0 };
     }
 
+    console.log(`\n⏰ Reminded ${due.length} player(s) before their entry goes stale`);
+    const remindedKeys = new Set(due.map(player => getPlayerKey(player, definition)));
+
     return {
-      processed: messages.length,
-      updated: updatedCount,
-      failed: parseResults.failed.length,
-      skipped: parseResults.skipped,
-      totalPlayers: sortedPlayers.length
+      state: {
+        ...state,
+        players: state.players.map(p => (remindedKeys.has(getPlayerKey(p, definition)) ? { ...p, reminded: true } : p))
+      },
+      count: due.length
+    };
+  }
+
+  /**
+   * Set each player's final standing in the previous season, if they had one
+   * (for sectioned games: the same section's entry and its position there)
+   */
+  annotateLastSeason(game, players, previousSeason) {
+    const definition = getGame(game.type);
+    const standing = getStandingFields(definition);
+    const positions = sectionPositions(previousSeason.players, definition);
+    const finals = new Map(previousSeason.players.map(p => {
+      const key = getPlayerKey(p, definition);
+      return [key, { player: p, position: positions.get(key) }];
+    }));
+
+    return players.map(player => {
+      const final = finals.get(getPlayerKey(player, definition));
+      const lastSeason = final
+        ? { season: previousSeason.name, rank: final.player[standing.rank], position: final.position }
+        : null;
+
+      return { ...player, lastSeason };
+    });
+  }
+
+  /**
+   * In verified mode, move updates with a screenshot from `successful` to
+   * `pending` and reject the rest
+   */
+  holdForVerification(game, parseResults, pendingIds) {
+    parseResults.pending = [];
+    if (!game.verification.enabled) return parseResults;
+
+    let queued = pendingIds.length;
+
+    for (const update of parseResults.successful) {
+      // Edited while still waiting: the current content is reviewed later
+      if (pendingIds.includes(update.messageId)) continue;
+
+      let reason = null;
+      if (!hasScreenshot(update.attachments)) {
+        reason = 'attach a screenshot of your rank so a moderator can verify it';
+      } else if (queued >= MAX_PENDING) {
+        reason = 'the verification queue is full, try again once moderators catch up';
+      }
+
+      if (reason) {
+        console.warn(`   ⛔ Rejected update for ${update.data.userId}: ${reason}`);
+        parseResults.rejected.push({ ...update, reason });
+      } else {
+        parseResults.pending.push(update);
+        queued++;
+      }
+    }
+
+    parseResults.successful = [];
+    return parseResults;
+  }
+
+  /**
+   * Check updates against the player's previous entry (see anomalies.js).
+   * Implausible ones are held as pending or applied and listed in `flagged`,
+   * depending on the game's anomaly action.
+   */
+  flagAnomalies(game, parseResults, currentState) {
+    parseResults.flagged = [];
+    const { action, maxDivisionsPerDay } = game.anomalies;
+    if (action === 'off') return parseResults;
+
+    const definition = getGame(game.type);
+    const pendingIds = currentState.pendingIds || [];
+    const latest = new Map(currentState.players.map(p => [getPlayerKey(p, definition), p]));
+    const accepted = [];
+
+    for (const update of parseResults.successful) {
+      // Edited while held: the current content is reviewed later
+      if (pendingIds.includes(update.messageId)) continue;
+
+      const userId = update.data.userId;
+      const key = getPlayerKey(update.data, definition);
+      const reasons = checkPlausibility(update.data, latest.get(key), definition, { maxDivisionsPerDay });
+
+      if (reasons.length > 0) {
+        console.warn(`   ⚠️  Implausible update for ${userId}: ${reasons.join('; ')}`);
+      }
+
+      if (reasons.length > 0 && action === 'hold') {
+        if (pendingIds.length + parseResults.pending.length >= MAX_PENDING) {
+          parseResults.rejected.push({ ...update, reason: 'it needs a moderator review but the queue is full, try again later' });
+        } else {
+          parseResults.pending.push({ ...update, reasons });
+        }
+        continue;
+      }
+
+      if (reasons.length > 0) {
+        parseResults.flagged.push({ ...update, reasons });
+      }
+      accepted.push(update);
+      latest.set(key, update.data);
+    }
+
+    parseResults.successful = accepted;
+    return parseResults;
+  }
+
+  /**
+   * Apply moderator reactions to pending updates: approved ones reach the
+   * board (marked as verified in verified mode), rejected or deleted ones
+   * leave the queue. A decided edit of the message behind an entry replaces
+   * that entry when approved and rolls it back when rejected, since the
+   * content approved before no longer exists.
+   * `messageIds` limits the review to some pending messages.
+   */
+  async reviewPending(game, state, messageIds = null) {
+    const pendingIds = state.pendingIds || [];
+    const toReview = messageIds ? pendingIds.filter(id => messageIds.includes(id)) : pendingIds;
+    const result = { state: { ...state, pendingIds }, approved: 0, rejected: 0, decided: 0 };
+
+    if (toReview.length === 0) {
+      return result;
+    }
+
+    console.log(`\n🔎 Reviewing ${toReview.length} pending update(s)...`);
+    const decided = new Set();
+    const approved = [];
+    const replaced = new Map();
+    const definition = getGame(game.type);
+    const fetchMessage = id => this.discord.fetchChannelMessage(game.channelId, id);
+    const mode = (process.env.PARSE_FEEDBACK || 'reactions').toLowerCase();
+
+    for (const messageId of toReview) {
+      const message = await this.discord.fetchChannelMessage(game.channelId, messageId);
+      if (!message) {
+        console.log(`   ✗ Pending update ${messageId} was deleted`);
+        decided.add(messageId);
+        continue;
+      }
+
+      const decision = await reviewDecision(
+        {
+          approverIds: await this.discord.fetchReactionUserIds(message, APPROVE_EMOJI),
+          rejecterIds: await this.discord.fetchReactionUserIds(message, REJECT_EMOJI)
+        },
+        userId => this.isModerator(game, message.guildId, userId)
+      );
+
+      if (!decision) continue;
+      decided.add(messageId);
+
+      const source = state.players.find(player => player.sourceMessageId === messageId);
+
+      if (decision === 'rejected') {
+        result.rejected++;
+        console.log(`   ✗ Rejected by a moderator: ${messageId}`);
+        if (source) {
+          replaced.set(source, await rollbackPlayer(source, definition, fetchMessage));
+        }
+
+        if (mode !== 'off') {
+          await this.explain(mode, { message, author: message.author }, `❌ Your ${game.name} update was rejected by a moderator.`);
+        }
+        continue;
+      }
+
+      // Re-read the message: it may have been edited while it was waiting.
+      // The moderator's approval replaces the anomaly checks.
+      const parsed = await this.authorizeUpdates(game, parseMultipleUpdates([message], game.type));
+      if (parsed.successful.length === 0) {
+        console.log(`   ✗ Approved update ${messageId} is no longer valid`);
+        continue;
+      }
+
+      if (source) {
+        const { player } = await reconcilePlayer(source, definition, message, fetchMessage);
+        replaced.set(source, player && game.verification.enabled ? { ...player, verified: true } : player);
+        result.approved++;
+        continue;
+      }
+
+      approved.push(...parsed.successful);
+    }
+
+    const players = state.players
+      .map(player => (replaced.has(player) ? replaced.get(player) : player))
+      .filter(Boolean);
+    const merged = this.mergeUpdates(game, { ...state, players }, approved, game.verification.enabled ? { verified: true } : {});
+
+    result.state = { ...merged.state, pendingIds: pendingIds.filter(id => !decided.has(id)) };
+    result.approved += merged.updated;
+    result.decided = decided.size;
+    return result;
+  }
+
+  /**
+   * Check whether a guild member holds one of a game's moderator roles
+   */
+  async isModerator(game, guildId, userId) {
+    if (!guildId) return false;
+
+    const roleIds = await this.discord.fetchMemberRoleIds(guildId, userId);
+    return roleIds.some(id => game.policy.moderatorRoleIds.includes(id));
+  }
+
+  /**
+   * Move updates the author may not post (see permissions.js) from
+   * `successful` to `rejected`
+   */
+  async authorizeUpdates(game, parseResults) {
+    const authorized = [];
+    parseResults.rejected = [];
+
+    for (const update of parseResults.successful) {
+      const authorId = update.author?.id || null;
+      const targetUserId = update.data.userId;
+
+      // Relayed /lb submit posts were already limited to the submitter's own entry
+      const trusted = Boolean(authorId) && authorId === this.discord.botUserId;
+
+      const authorRoleIds = authorId && update.message?.guildId && needsAuthorRoles(game.policy, authorId, targetUserId)
+        ? await this.discord.fetchMemberRoleIds(update.message.guildId, authorId)
+        : [];
+
+      const decision = authorizeUpdate(game.policy, { authorId, authorRoleIds, targetUserId, trusted });
+
+      if (decision.allowed) {
+        authorized.push(update);
+      } else {
+        console.warn(`   ⛔ Rejected update from ${authorId} for ${targetUserId}: ${decision.reason}`);
+        parseResults.rejected.push({ ...update, reason: decision.reason });
+      }
+    }
+
+    parseResults.successful = authorized;
+    return parseResults;
+  }
+
+  /**
+   * React ✅/❌/⛔/⏳/⚠️ to each update message and, depending on PARSE_FEEDBACK,
+   * explain failures, rejections and anomalies in a reply or a DM
+   * PARSE_FEEDBACK: reactions (default) | reply | dm | off
+   */
+  async sendParseFeedback(game, parseResults) {
+    const mode = (process.env.PARSE_FEEDBACK || 'reactions').toLowerCase();
+    if (mode === 'off') return;
+
+    for (const update of parseResults.successful) {
+      if (update.message) {
+        await this.discord.reactToMessage(update.message, '✅');
+      }
+    }
+
+    for (const failure of parseResults.failed) {
+      if (!failure.message) continue;
+
+      await this.discord.reactToMessage(failure.message, '❌');
+
+      const explanation = renderParseError(failure.error, game.type);
+      await this.explain(mode, failure, explanation);
+    }
+
+    for (const rejection of parseResults.rejected || []) {
+      if (!rejection.message) continue;
+
+      await this.discord.reactToMessage(rejection.message, '⛔');
+      await this.explain(mode, rejection, `⛔ Your ${game.name} update was not applied: ${rejection.reason}.`);
+    }
+
+    for (const update of parseResults.pending || []) {
+      if (!update.message) continue;
+
+      await this.discord.reactToMessage(update.message, PENDING_EMOJI);
+      if (update.reasons?.length > 0) {
+        await this.explain(mode, update, `⏳ Your ${game.name} update is waiting for a moderator: ${update.reasons.join('; ')}.`);
+      }
+    }
+
+    for (const update of parseResults.flagged || []) {
+      if (!update.message) continue;
+
+      await this.discord.reactToMessage(update.message, '⚠️');
+      await this.explain(mode, update, `⚠️ Your ${game.name} update was applied but looks unusual: ${update.reasons.join('; ')}.`);
+    }
+  }
+
+  /**
+   * Send a feedback explanation as a reply or DM, per PARSE_FEEDBACK
+   */
+  async explain(mode, item, explanation) {
+    if (mode === 'reply') {
+      await this.discord.replyToMessage(item.message, explanation);
+    } else if (mode === 'dm' && item.author) {
+      await this.discord.sendDirectMessage(item.author, explanation);
+    }
+  }
+
+  /**
+   * Publish a state's board and persist it through the store, then post the
+   * announcements collected since the last save
+   */
+  async saveState(game, { announcements = [], ...state }) {
+    const annotated = state.previousSeason
+      ? this.annotateLastSeason(game, state.players, state.previousSeason)
+      : state.players;
+    const players = arrangeByActivity(annotated, game.type, game.inactivity);
+
+    // Keys are saved before posting: a failed save repeats nothing, a failed post is lost
+    const outgoing = game.announcements
+      ? selectAnnouncements(announcements, game.announcements, state.announced || [])
+      : { selected: [], skipped: 0, announced: state.announced || [] };
+
+    const published = await this.publishBoard(game, { ...state, players, announced: outgoing.announced });
+
+    const savedState = {
+      ...state,
+      players,
+      announced: outgoing.announced,
+      gameType: game.type,
+      messageId: published.messageId,
+      shardIds: published.shardIds
     };
+
+    await this.store.save(game, savedState);
+
+    // Later loads in this process find the board even if it was just created
+    game.persistentMessageId = published.messageId;
+    this.states.set(game.type, savedState);
+    this.overviewStale = true;
+
+    await this.sendAnnouncements(game, outgoing);
+
+    return savedState;
+  }
+
+  /**
+   * Post selected announcements as one message to the game's announcement
+   * channel. Failures are logged only: the board has already been saved.
+   */
+  async sendAnnouncements(game, { selected, skipped }) {
+    if (skipped > 0) {
+      console.log(`   🔇 Skipped ${skipped} announcement(s) over ANNOUNCE_MAX_PER_SYNC`);
+    }
+    if (selected.length === 0) return;
+
+    const definition = getGame(game.type);
+    const content = selected.map(announcement => renderAnnouncement(announcement, definition)).join('\n');
+
+    try {
+      await this.discord.sendAnnouncement(game.announcements.webhookUrl, content);
+      console.log(`   📣 Posted ${selected.length} announcement(s)`);
+    } catch (error) {
+      console.warn(`⚠️  Could not post ${game.name} announcements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post or edit the cross-game hall of fame (see overview.js) when a board
+   * changed since it was last drawn, or when it does not exist yet
+   */
+  async publishOverview() {
+    if (!this.overview || (!this.overviewStale && this.overview.messageId)) return;
+
+    console.log(`\n🏛️  Updating the hall of fame...`);
+    const boards = this.games
+      .filter(game => this.states.has(game.type))
+      .map(game => ({ type: game.type, name: game.name, players: this.states.get(game.type).players }));
+
+    const content = renderOverview(boards, this.overview);
+    const result = await this.discord.upsertLeaderboardMessage(this.overview.webhookUrl, this.overview.messageId, content);
+    this.overviewStale = false;
+
+    if (result.action === 'created') {
+      console.log(`💡 Add to .env: GAME_OVERVIEW_MESSAGE_ID=${result.messageId}`);
+      this.overview.messageId = result.messageId;
+    }
+  }
+
+  /**
+   * Write the static site export (see export.js) from the latest states,
+   * in board order as published
+   */
+  async exportBoards(dir) {
+    console.log(`\n📦 Exporting leaderboards to ${dir}...`);
+
+    const boards = this.games
+      .filter(game => this.states.has(game.type))
+      .map(game => {
+        const state = this.states.get(game.type);
+        return {
+          type: game.type,
+          name: game.name,
+          season: state.season,
+          players: arrangeByActivity(state.players, game.type, game.inactivity)
+        };
+      });
+
+    const names = new Map();
+    for (const board of boards) {
+      for (const { userId } of board.players.filter(p => p.activity !== 'dropped')) {
+        if (!names.has(userId)) names.set(userId, await this.discord.resolveUsername(userId));
+      }
+    }
+
+    const files = await writeExport(dir, boards, { names, siteUrl: process.env.EXPORT_SITE_URL || null });
+    console.log(`   ✓ Wrote ${files.join(', ')}`);
   }
 
   async syncAll() {
@@ -195,6 +1004,8 @@ class LeaderboardSync {
       totalProcessed: 0,
       totalUpdated: 0,
       totalFailed: 0,
+      totalRejected: 0,
+      totalFlagged: 0,
       totalSkipped: 0,
       games: []
     };
@@ -206,6 +1017,8 @@ class LeaderboardSync {
         results.totalProcessed += gameResults.processed;
         results.totalUpdated += gameResults.updated;
         results.totalFailed += gameResults.failed;
+        results.totalRejected += gameResults.rejected;
+        results.totalFlagged += gameResults.flagged;
         results.totalSkipped += gameResults.skipped;
         
         results.games.push({
@@ -221,6 +1034,12 @@ class LeaderboardSync {
       }
     }
 
+    try {
+      await this.publishOverview();
+    } catch (error) {
+      console.error(`\n❌ Error updating the hall of fame:`, error.message);
+    }
+
     return results;
   }
 
@@ -242,6 +1061,8 @@ class LeaderboardSync {
     console.log(`Total Messages: ${results.totalProcessed}`);
     console.log(`Total Updates: ${results.totalUpdated}`);
     console.log(`Total Failed: ${results.totalFailed}`);
+    console.log(`Total Rejected: ${results.totalRejected}`);
+    console.log(`Total Flagged: ${results.totalFlagged}`);
     console.log(`Total Skipped: ${results.totalSkipped}`);
     console.log('');
     
@@ -250,6 +1071,12 @@ class LeaderboardSync {
         console.log(`❌ ${game.name}: ${game.error}`);
       } else {
         console.log(`✓ ${game.name}: ${game.updated} updates, ${game.totalPlayers} players`);
+        if (game.pending > 0) {
+          console.log(`   ⏳ ${game.pending} update(s) awaiting verification`);
+        }
+        if (game.backlog) {
+          console.log(`   ⚠️  Backlog remains, next sync will continue from the last processed message`);
+        }
       }
     });
     
@@ -272,6 +1099,10 @@ async function main() {
     await sync.initialize();
     const results = await sync.syncAll();
     sync.printSummary(results);
+
+    if (process.env.EXPORT_DIR) {
+      await sync.exportBoards(process.env.EXPORT_DIR);
+    }
     
     await sync.cleanup();
     
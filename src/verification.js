@@ -0,0 +1,66 @@
+/**
+ * Verification Module
+ * Optional verified mode (GAME_<KEY>_VERIFIED_MODE, falling back to
+ * VERIFIED_MODE): an update needs a screenshot and a moderator's approval
+ * before it reaches the board. Moderators react ✅ to approve or ❌ to reject.
+ */
+
+export const APPROVE_EMOJI = '✅';
+export const REJECT_EMOJI = '❌';
+export const PENDING_EMOJI = '⏳';
+
+// Pending message IDs live in the manifest, which has to fit in one message
+export const MAX_PENDING = 40;
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp)$/i;
+
+/**
+ * Load whether a game runs in verified mode
+ * Verified mode needs moderators, so the game's policy must list their roles.
+ */
+export function loadVerificationConfig(gameKey, policy, env = process.env) {
+  const raw = env[`GAME_${gameKey}_VERIFIED_MODE`] ?? env.VERIFIED_MODE ?? 'false';
+  const enabled = ['true', '1', 'yes', 'on'].includes(raw.toLowerCase());
+
+  if (enabled && policy.moderatorRoleIds.length === 0) {
+    throw new Error(`Verified mode for ${gameKey} needs MODERATOR_ROLE_IDS or GAME_${gameKey}_MODERATOR_ROLE_IDS`);
+  }
+
+  return { enabled };
+}
+
+/**
+ * Check whether an update came with an image attachment
+ */
+export function hasScreenshot(attachments = []) {
+  return attachments.some(attachment =>
+    attachment.contentType?.startsWith('image/') || IMAGE_EXTENSIONS.test(attachment.name || '')
+  );
+}
+
+/**
+ * Decide a pending update from the users who reacted to it
+ * A moderator's rejection wins over an approval. Returns 'approved',
+ * 'rejected' or null while no moderator has reacted.
+ */
+export async function reviewDecision({ approverIds, rejecterIds }, isModerator) {
+  for (const userId of rejecterIds) {
+    if (await isModerator(userId)) return 'rejected';
+  }
+
+  for (const userId of approverIds) {
+    if (await isModerator(userId)) return 'approved';
+  }
+
+  return null;
+}
+
+export default {
+  APPROVE_EMOJI,
+  REJECT_EMOJI,
+  PENDING_EMOJI,
+  MAX_PENDING,
+  loadVerificationConfig,
+  hasScreenshot,
+  reviewDecision
+};
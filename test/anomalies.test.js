@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGame } from '../src/games/index.js';
+import { validateUpdate } from '../src/parser.js';
+import { checkPlausibility } from '../src/anomalies.js';
+
+const NOW = Date.parse('2026-02-14T12:00:00Z');
+
+/**
+ * Reasons a new player's update is flagged
+ */
+function flags(gameType, content) {
+  const game = getGame(gameType);
+  const result = validateUpdate(content, game, { timestamp: NOW });
+  assert.ok(result?.data, `${content} → ${result?.error?.reason}`);
+  return checkPlausibility(result.data, null, game, { now: NOW });
+}
+
+test('a value outside its rank band is flagged', () => {
+  const reasons = flags('OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Gold 2 25000 2026-02-14');
+  assert.equal(reasons.length, 1);
+  assert.match(reasons[0], /outside the Gold band/);
+
+  assert.match(flags('MARVEL_RIVALS', 'LB_UPDATE_MR: <@1> Duelist Bronze 3 4000 2026-02-14')[0], /outside the Bronze band/);
+  assert.match(flags('DEADLOCK', 'LB_UPDATE_DL: <@1> Haze Archon 4 12000 2026-02-14')[0], /outside the Archon band/);
+});
+
+test('a typed peak outside its band is flagged too', () => {
+  const reasons = flags('OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Diamond 3 3200 Master 2 340 2026-02-14');
+  assert.deepEqual(reasons.map(reason => reason.split(' ')[0]), ['peak']);
+});
+
+test('the documented example updates are inside their bands', () => {
+  assert.deepEqual(flags('OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Diamond 3 3200 Master 2 3400 2026-02-14'), []);
+  assert.deepEqual(flags('MARVEL_RIVALS', 'LB_UPDATE_MR: <@1> Duelist Diamond 2 2450 Grandmaster 1 2610 2026-02-14'), []);
+  assert.deepEqual(flags('DEADLOCK', 'LB_UPDATE_DL: <@1> Haze Archon 4 1200 2026-02-14'), []);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, loadDateConfig } from '../src/dates.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+/**
+ * Parse a date with the given DATE_ORDER and return its calendar day
+ */
+function day(text, order = 'DMY') {
+  const result = parseDate(text, NOW, loadDateConfig({ DATE_ORDER: order }));
+  assert.ok(result.date, `${text} → ${result.reason}`);
+  return result.date.substring(0, 10);
+}
+
+test('a numeric date with only one valid reading ignores DATE_ORDER', () => {
+  assert.equal(day('2/14/2026'), '2026-02-14');
+  assert.equal(day('14/2/2026'), '2026-02-14');
+  assert.equal(day('14/2/2026', 'MDY'), '2026-02-14');
+  assert.equal(day('2/14/2026', 'MDY'), '2026-02-14');
+});
+
+test('DATE_ORDER decides ambiguous numeric dates', () => {
+  assert.equal(day('1/2/2026'), '2026-02-01');
+  assert.equal(day('1/2/2026', 'MDY'), '2026-01-02');
+});
+
+test('a numeric date with no valid reading does not exist', () => {
+  const result = parseDate('14/14/2026', NOW, loadDateConfig({}));
+  assert.equal(result.reason, 'that date does not exist');
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGame } from '../src/games/index.js';
+import { validateUpdate, sortPlayers } from '../src/parser.js';
+import { getRankSortValue } from '../src/ranks.js';
+import { encodeState, decodeState, migrateState } from '../src/storage.js';
+import { formatRank } from '../src/renderer.js';
+
+const NOW = Date.parse('2026-02-14T12:00:00Z');
+
+/**
+ * Parse an update or fail the test with the parse error
+ */
+function parse(gameType, content) {
+  const result = validateUpdate(content, getGame(gameType), { timestamp: NOW });
+  assert.ok(result?.data, `${content} → ${result?.error?.reason}`);
+  return result.data;
+}
+
+/**
+ * Sort parsed updates and return their user IDs in board order
+ */
+function order(gameType, contents) {
+  return sortPlayers(contents.map(content => parse(gameType, content)), gameType).map(p => p.userId);
+}
+
+test('Overwatch: Top 500 placements above bare Top 500 above Champion 1', () => {
+  assert.deepEqual(order('OVERWATCH', [
+    'LB_UPDATE_OW: <@4> Tank Champion 1 4600 2026-02-14',
+    'LB_UPDATE_OW: <@3> Tank Top 500 4700 2026-02-14',
+    'LB_UPDATE_OW: <@2> Tank Top 500 #480 4700 2026-02-14',
+    'LB_UPDATE_OW: <@1> Tank Top 500 12 4700 2026-02-14'
+  ]), ['1', '2', '3', '4']);
+});
+
+test('Deadlock: Oracle 1 above Archon 6 above Archon 1', () => {
+  const game = getGame('DEADLOCK');
+  const value = (rank, tier) => getRankSortValue({ rank, tier }, game);
+
+  assert.ok(value('Oracle', 1) > value('Archon', 6));
+  assert.ok(value('Archon', 6) > value('Archon', 1));
+  assert.deepEqual(order('DEADLOCK', [
+    'LB_UPDATE_DL: <@3> Haze Archon 1 1200 2026-02-14',
+    'LB_UPDATE_DL: <@1> Haze Oracle 1 1200 2026-02-14',
+    'LB_UPDATE_DL: <@2> Haze Archon 6 1200 2026-02-14'
+  ]), ['1', '2', '3']);
+});
+
+test('Marvel Rivals: tierless ranks parse without a tier and sort above tiered ones', () => {
+  const eternity = parse('MARVEL_RIVALS', 'LB_UPDATE_MR: <@1> Duelist Eternity 4000 2026-02-14');
+  assert.deepEqual(eternity.currentRank, { rank: 'Eternity', tier: null });
+  assert.equal(eternity.currentValue, 4000);
+
+  assert.deepEqual(order('MARVEL_RIVALS', [
+    'LB_UPDATE_MR: <@3> Duelist Celestial 1 3900 2026-02-14',
+    'LB_UPDATE_MR: <@2> Duelist Eternity 4000 2026-02-14',
+    'LB_UPDATE_MR: <@1> Duelist One Above All 4100 2026-02-14'
+  ]), ['1', '2', '3']);
+});
+
+test('a tierless rank followed by a number is an error', () => {
+  const result = validateUpdate('LB_UPDATE_MR: <@1> Duelist Eternity 2 4000 2026-02-14', getGame('MARVEL_RIVALS'), { timestamp: NOW });
+  assert.equal(result.error?.reason, 'Eternity has no tiers');
+});
+
+test('a value before a relative date is not read as a tier', () => {
+  const eternity = parse('MARVEL_RIVALS', 'LB_UPDATE_MR: <@1> Duelist Eternity 4000 2 days ago');
+  assert.deepEqual(eternity.currentRank, { rank: 'Eternity', tier: null });
+  assert.equal(eternity.currentValue, 4000);
+  assert.equal(eternity.lastUpdated.substring(0, 10), '2026-02-12');
+
+  const diamond = parse('OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Diamond 3200 3 days ago');
+  assert.deepEqual(diamond.currentRank, { rank: 'Diamond', tier: 1 });
+  assert.equal(diamond.currentValue, 3200);
+  assert.equal(diamond.lastUpdated.substring(0, 10), '2026-02-11');
+
+  const tiered = parse('OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Diamond 2 3200 3 days ago');
+  assert.deepEqual(tiered.currentRank, { rank: 'Diamond', tier: 2 });
+  assert.equal(tiered.currentValue, 3200);
+});
+
+/**
+ * Rank fields of a stored player, for comparing before and after storage
+ */
+function ranks(player) {
+  return { currentRank: player.currentRank, peakRank: player.peakRank ?? null };
+}
+
+test('tierless ranks and Top 500 placements survive storage and migration 4 unchanged', () => {
+  for (const [gameType, content] of [
+    ['MARVEL_RIVALS', 'LB_UPDATE_MR: <@1> Duelist Eternity 4000 One Above All 4100 2026-02-14'],
+    ['OVERWATCH', 'LB_UPDATE_OW: <@1> Tank Top 500 12 4700 Top 500 #3 4800 2026-02-14']
+  ]) {
+    const player = { ...parse(gameType, content), history: [] };
+    const stored = decodeState(encodeState('1', [player], gameType));
+    assert.equal(stored.corrupted, false);
+    assert.deepEqual(stored.players.map(ranks), [ranks(player)]);
+
+    const migrated = migrateState({ schema: 4, gameType, lastProcessedMessageId: '1', players: stored.players });
+    assert.deepEqual(migrated.players.map(ranks), [ranks(player)]);
+  }
+});
+
+test('formatRank shows tiers, placements and tierless ranks', () => {
+  assert.equal(formatRank({ rank: 'Archon', tier: 4 }, getGame('DEADLOCK')), 'Archon 4');
+  assert.equal(formatRank({ rank: 'Diamond', tier: 2 }, getGame('MARVEL_RIVALS')), 'Diamond 2');
+  assert.equal(formatRank({ rank: 'Top 500', tier: 12 }, getGame('OVERWATCH')), 'Top 500 #12');
+  assert.equal(formatRank({ rank: 'Top 500', tier: null }, getGame('OVERWATCH')), 'Top 500');
+  assert.equal(formatRank({ rank: 'Eternity', tier: null }, getGame('MARVEL_RIVALS')), 'Eternity');
+  // A tier stored on a tierless rank before migration 4 is not shown
+  assert.equal(formatRank({ rank: 'One Above All', tier: 1 }, getGame('MARVEL_RIVALS')), 'One Above All');
+  assert.equal(formatRank(null, getGame('OVERWATCH')), 'Unknown');
+});